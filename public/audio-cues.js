@@ -0,0 +1,158 @@
+// Audio cues shared by the operator page and the display: the tones, the spoken announcements and
+// the room's cue schedule (from audio-sync, kept in state.audio).
+// client is 'operator' or 'display'; state supplies audio, categories and showNames, getRoundName the
+// {round} placeholder. Needs page-utils.js.
+function createAudioCues(state, client, getRoundName) {
+  let ctx = null;
+  let master = null;
+
+  // Browsers only start audio after a click, so call this from a click handler
+  function unlock() {
+    if (!ctx) {
+      try {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        ctx = new Ctx();
+        master = ctx.createGain();
+        master.gain.value = 0.9;
+        const comp = ctx.createDynamicsCompressor();
+        comp.threshold.setValueAtTime(-12, ctx.currentTime);
+        comp.knee.setValueAtTime(30, ctx.currentTime);
+        comp.ratio.setValueAtTime(12, ctx.currentTime);
+        comp.attack.setValueAtTime(0.003, ctx.currentTime);
+        comp.release.setValueAtTime(0.25, ctx.currentTime);
+        master.connect(comp);
+        comp.connect(ctx.destination);
+      } catch (e) { ctx = null; }
+    }
+    if (ctx && ctx.state === 'suspended') {
+      ctx.resume().catch(() => {});
+    }
+  }
+
+  function connectEnv() {
+    const env = ctx.createGain();
+    const now = ctx.currentTime;
+    env.gain.setValueAtTime(0, now);
+    env.gain.linearRampToValueAtTime(1, now + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.001, now + 1.5);
+    env.connect(master);
+    return env;
+  }
+
+  function beep(freq = 880, seconds = 0.45, type = 'sine') {
+    if (!ctx) return;
+    const env = connectEnv();
+    const osc = ctx.createOscillator();
+    osc.type = type; osc.frequency.value = freq;
+    osc.connect(env);
+    const now = ctx.currentTime;
+    osc.start(now); osc.stop(now + seconds + 0.05);
+  }
+
+  function buzzer(seconds = 2.0) {
+    if (!ctx) return;
+    const now = ctx.currentTime;
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(1, now);
+    env.gain.linearRampToValueAtTime(0, now + seconds);
+    const osc = ctx.createOscillator();
+    osc.type = 'sawtooth';
+    osc.frequency.value = 100;
+    osc.connect(env);
+    env.connect(master);
+    osc.start(now);
+    osc.stop(now + seconds);
+
+    const noiseDur = 0.5;
+    const noiseBuf = ctx.createBuffer(1, ctx.sampleRate * noiseDur, ctx.sampleRate);
+    const data = noiseBuf.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = (Math.random() * 2 - 1) * 0.4;
+    const noise = ctx.createBufferSource();
+    noise.buffer = noiseBuf;
+    const band = ctx.createBiquadFilter();
+    band.type = 'bandpass';
+    band.frequency.value = 800;
+    band.Q.value = 0.7;
+    noise.connect(band);
+    const env2 = ctx.createGain();
+    band.connect(env2);
+    env2.connect(master);
+    env2.gain.setValueAtTime(0.7, now);
+    env2.gain.linearRampToValueAtTime(0, now + noiseDur);
+    noise.start(now);
+    noise.stop(now + noiseDur);
+  }
+
+  function climbStartTone() {
+    if (!ctx) return;
+    const env = connectEnv();
+    const now = ctx.currentTime;
+    const osc = ctx.createOscillator();
+    osc.type = 'triangle';
+    osc.frequency.value = 660;
+    osc.connect(env);
+    osc.start(now);
+    osc.stop(now + 2.0);
+  }
+
+  function playTone(tone) {
+    if (tone === 'beep') beep(800, 0.65, 'sine');
+    else if (tone === 'pip') beep(1200, 0.45, 'square');
+    else if (tone === 'buzzer') buzzer(1.4);
+    else if (tone === 'start') climbStartTone();
+  }
+
+  // "1 minute 30 seconds" for the {remaining} placeholder
+  function describeSeconds(seconds) {
+    const m = Math.floor(seconds / 60), s = seconds % 60;
+    const parts = [];
+    if (m > 0) parts.push(`${m} ${m === 1 ? 'minute' : 'minutes'}`);
+    if (s > 0 || m === 0) parts.push(`${s} ${s === 1 ? 'second' : 'seconds'}`);
+    return parts.join(' ');
+  }
+
+  // Who is on each boulder right now; with names hidden only bibs are read out
+  function describeClimbers() {
+    const parts = [];
+    state.categories.forEach(category => category.boulders.forEach(boulder => {
+      const climberId = boulder.hasStarted && !boulder.idle && !boulder.skipNext ? boulder.climbers[boulder.currentClimberIndex] : null;
+      const climber = climberId ? getClimber(category, climberId) : null;
+      if (!climber) return;
+      const label = state.showNames ? getClimberName(climber) : (climber.bib ? `bib ${climber.bib}` : '');
+      if (!label) return;
+      parts.push(`${state.categories.length > 1 ? `${category.name}, ` : ''}Boulder ${boulder.boulderId}: ${label}`);
+    }));
+    return parts.join('. ');
+  }
+
+  function renderAnnouncement(text, phase, remaining) {
+    const values = {
+      remaining: describeSeconds(remaining),
+      phase: phase === 'climb' ? 'climbing' : 'transition',
+      round: getRoundName(),
+      climbers: describeClimbers()
+    };
+    return text.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+  }
+
+  function announce(text) {
+    if (!text.trim() || !window.speechSynthesis) return;
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = state.audio.speech.lang;
+    utterance.rate = state.audio.speech.rate;
+    window.speechSynthesis.speak(utterance);
+  }
+
+  // Play this client's cues for the moment; at is the seconds left, or 'start' as a phase begins
+  function playCues(phase, at, remaining) {
+    if (!state.audio || !ctx) return;
+    state.audio.cues
+      .filter(cue => cue.phase === phase && cue.at === at && cue.clients.includes(client))
+      .forEach(cue => {
+        playTone(cue.tone);
+        if (cue.say && state.audio.speech.enabled) announce(renderAnnouncement(cue.say, phase, remaining));
+      });
+  }
+
+  return { unlock, isUnlocked: () => !!ctx, buzzer, playCues };
+}
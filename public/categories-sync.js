@@ -0,0 +1,28 @@
+// Keeps state.categories and state.categoriesRevision in step with the server: full snapshots from
+// categories-sync, field-level patches from categories-patch. Shared by the operator, display,
+// overlay and judge pages; onChange runs after every update.
+function syncCategories(socket, state, onChange) {
+  function onSnapshot(snapshot) {
+    state.categories = snapshot.categories || [];
+    state.categoriesRevision = snapshot.revision;
+    onChange();
+  }
+
+  // Apply a field-level patch; false if it doesn't follow the revision we have
+  function applyPatch(patch) {
+    if (patch.baseRevision !== state.categoriesRevision) return false;
+    const byId = new Map(state.categories.map(c => [c.id, c]));
+    patch.changed.forEach(change => byId.set(change.id, { ...byId.get(change.id), ...change.fields, revision: change.revision }));
+    patch.added.forEach(category => byId.set(category.id, category));
+    state.categories = patch.order.map(id => byId.get(id)).filter(Boolean);
+    state.categoriesRevision = patch.revision;
+    return true;
+  }
+
+  socket.on('categories-sync', onSnapshot);
+  socket.on('categories-patch', (patch) => {
+    // A missed patch means our copy is stale - fetch a full snapshot instead
+    if (!applyPatch(patch)) return socket.emit('categories-resync', null, onSnapshot);
+    onChange();
+  });
+}
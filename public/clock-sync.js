@@ -0,0 +1,32 @@
+// Server clock sync (NTP-style ping/pong over clock-ping), shared by every page that draws the clock.
+// offset is added to Date.now() to get server time; onSample runs after each ping (the operator
+// page shows the offset and round trip).
+function createClockSync(socket, onSample) {
+  const clockSync = { offset: 0, rtt: null, samples: [] };
+
+  function ping() {
+    if (!socket.connected) return;
+    socket.emit('clock-ping', Date.now(), (reply) => {
+      const receivedAt = Date.now();
+      const rtt = receivedAt - reply.clientSentAt;
+      const offset = reply.serverTime + rtt / 2 - receivedAt;
+      clockSync.samples.push({ rtt, offset });
+      if (clockSync.samples.length > 8) clockSync.samples.shift();
+      // The sample with the shortest round trip has the least network jitter
+      const best = clockSync.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+      clockSync.offset = best.offset;
+      clockSync.rtt = best.rtt;
+      if (onSample) onSample(clockSync);
+    });
+  }
+
+  // Fresh burst after every (re)connect, the network path may have changed
+  clockSync.start = () => {
+    clockSync.samples = [];
+    for (let i = 0; i < 5; i++) setTimeout(ping, i * 200);
+  };
+  clockSync.now = () => Date.now() + clockSync.offset;
+
+  setInterval(ping, 15000);
+  return clockSync;
+}
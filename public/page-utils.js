@@ -0,0 +1,15 @@
+// Small helpers shared by the pages
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// --- Climber Records ---
+// category.climbers is the roster; boulders, progress and results refer to climbers by id
+function getClimber(category, climberId) {
+  return (category?.climbers || []).find(c => c.id === climberId) || null;
+}
+
+function getClimberName(climber) {
+  return [climber.firstName, climber.lastName].filter(Boolean).join(' ');
+}
@@ -3,6 +3,7 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const XLSX = require('xlsx');
 const multer = require('multer');
 
@@ -23,11 +24,17 @@ const upload = multer({
 // Data persistence paths
 const DATA_DIR = path.join(__dirname, 'data');
 const CATEGORIES_FILE = path.join(DATA_DIR, 'categories.json');
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json'; // 'json' or 'sqlite'
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'rooms.sqlite');
 
 // --- Multi-Room Support ---
 const DEFAULT_ROOM = 'default';
 const rooms = new Map();
 
+// Countdown timing: remaining time is derived from an absolute deadline, checked every tick
+const TIMER_TICK_MS = 100;
+const ZERO_HOLD_MS = 1000; // 0 stays on screen for 1 second before the next phase starts
+
 // Sanitize room ID to prevent path traversal and invalid characters
 function sanitizeRoomId(roomId) {
   if (!roomId || typeof roomId !== 'string') return DEFAULT_ROOM;
@@ -36,6 +43,130 @@ function sanitizeRoomId(roomId) {
   return sanitized || DEFAULT_ROOM;
 }
 
+// --- Authentication & Roles ---
+// Roles: 'admin' (all rooms, admin dashboard), 'operator' (one room, via its PIN),
+// 'judge' (scoring on one boulder, via a judge code) and 'display' (read-only)
+const ROLE_ADMIN = 'admin';
+const ROLE_OPERATOR = 'operator';
+const ROLE_JUDGE = 'judge';
+const ROLE_DISPLAY = 'display';
+
+// Admin token comes from the environment; generate one for this process if it isn't set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || crypto.randomBytes(16).toString('hex');
+const ADMIN_TOKEN_GENERATED = !process.env.ADMIN_TOKEN;
+
+// Socket events that change room state - only operators and admins may emit these
+const OPERATOR_EVENTS = new Set([
+  'timer-command',
+  'config-update',
+  'category-update',
+  'category-delete',
+  'round-settings-update',
+  'set-category-boulder-count',
+  'advance-climber',
+  'advance-boulder',
+  'advance-category',
+  'advance-all-climbers',
+  'skip-boulder-climber',
+  'reset-category-progress',
+  'undo-last',
+  'switch-round',
+  'restart-round',
+  'schedule-round-start',
+  'set-boulder-result',
+  'record-attempt',
+  'qualify-climbers',
+  'audio-update',
+  'judge-code'
+]);
+
+// The operator events a judge may emit, and only for the category and boulder of their code
+const JUDGE_EVENTS = new Set(['record-attempt', 'set-boulder-result', 'skip-boulder-climber']);
+
+// Operator PINs: 4-32 letters or digits
+function isValidPin(pin) {
+  return typeof pin === 'string' && /^[A-Za-z0-9]{4,32}$/.test(pin);
+}
+
+function generatePin() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+// Constant-time string comparison for secrets
+function secretsMatch(provided, expected) {
+  if (typeof provided !== 'string' || typeof expected !== 'string') return false;
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Resolve the role for a set of credentials ({ token, pin, judge }) against a room
+function resolveRole(room, credentials = {}) {
+  if (secretsMatch(credentials.token, ADMIN_TOKEN)) return ROLE_ADMIN;
+  if (room && room.auth.operatorPin && secretsMatch(credentials.pin, room.auth.operatorPin)) return ROLE_OPERATOR;
+  if (room && resolveJudgeScope(room, credentials.judge)) return ROLE_JUDGE;
+  return ROLE_DISPLAY;
+}
+
+// Judge codes look like "<categoryId>.<boulderId>.<mac>": the scope is readable, the MAC (keyed with
+// the room's judge secret, never with the PIN) makes it unforgeable
+function createJudgeCode(room, categoryId, boulderId) {
+  const mac = crypto.createHmac('sha256', room.auth.judgeSecret).update(`${categoryId}.${boulderId}`).digest('hex');
+  return `${categoryId}.${boulderId}.${mac.substring(0, 20)}`;
+}
+
+// { categoryId, boulderId } a judge code is valid for, or null
+function resolveJudgeScope(room, code) {
+  if (typeof code !== 'string') return null;
+  const match = code.match(/^(\d+)\.(\d+)\.[0-9a-f]{20}$/);
+  if (!match) return null;
+  const categoryId = parseInt(match[1]);
+  const boulderId = parseInt(match[2]);
+  return secretsMatch(code, createJudgeCode(room, categoryId, boulderId)) ? { categoryId, boulderId } : null;
+}
+
+function generateJudgeSecret() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function canOperate(role) {
+  return role === ROLE_ADMIN || role === ROLE_OPERATOR;
+}
+
+// Read credentials from REST headers: "Authorization: Bearer <admin token>" and "X-Operator-Pin: <pin>"
+function getRequestCredentials(req) {
+  const authHeader = req.get('Authorization') || '';
+  const match = authHeader.match(/^Bearer\s+(.+)$/i);
+  return {
+    token: match ? match[1].trim() : undefined,
+    pin: req.get('X-Operator-Pin') || undefined
+  };
+}
+
+// Express middleware: admin token required
+function requireAdmin(req, res, next) {
+  if (resolveRole(null, getRequestCredentials(req)) !== ROLE_ADMIN) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  req.role = ROLE_ADMIN;
+  next();
+}
+
+// Express middleware: operator PIN for the room in ?room= (or :roomId), or admin token, required
+function requireOperator(req, res, next) {
+  const roomId = sanitizeRoomId(req.params.roomId || req.query.room || DEFAULT_ROOM);
+  const room = findRoom(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  const role = resolveRole(room, getRequestCredentials(req));
+  if (!canOperate(role)) {
+    return res.status(401).json({ error: 'Operator PIN or admin token required' });
+  }
+  req.role = role;
+  next();
+}
+
 // Create default timer state for a new room
 function createRoomState() {
   return {
@@ -47,32 +178,313 @@ function createRoomState() {
       phase: 'stopped',
       running: false,
       remaining: 240,
+      phaseEndsAt: null, // Epoch ms when the running phase reaches 0
+      pausedRemainingMs: null, // Exact time left while paused mid-phase
       showNames: true,
       rounds: [],
       activeRoundIndex: 0,
       categories: []
     },
+    auth: {
+      operatorPin: null,
+      judgeSecret: generateJudgeSecret() // Signs judge codes, replaced (revoking them) with the PIN
+    },
     timerInterval: null,
     connectedClients: 0,
-    lastActivity: Date.now()
+    lastActivity: Date.now(),
+    journalSeq: null, // Last journal sequence number, read from the log file on first use
+    undoStack: [], // Rotation snapshots for undo-last (in memory only)
+    webhooks: [],
+    streamClients: new Set(), // Open /stream responses
+    masterRoomId: null, // Set on follower rooms whose clock mirrors another room
+    scheduleClockKey: null, // Clock state the last schedule-sync was computed from
+    appliedActions: new Map(), // actionId -> ack of replay-safe actions already applied
+    revision: 0, // Bumped on every change to the active round's categories
+    trackedCategories: new Map(), // categoryId -> { revision, fingerprints } last sent to clients
+    trackedRoundIndex: null,
+    audio: createDefaultAudioSettings() // Cue schedule played by operator and display pages
+  };
+}
+
+// --- Storage ---
+// Rooms and their event journals go through a storage adapter:
+// { name, loadRoom, saveRoom, hasRoom, listRooms, deleteRoom, appendEvent, readEvents, close }
+// loadRoom/saveRoom take the same plain object the JSON files have always held.
+
+// One JSON file per room. Writes go to a temp file that is renamed over the room file, so a crash
+// leaves either the old or the new version; the version before the last save is kept as .bak
+function createJsonStorage(dir) {
+  const roomFile = (roomId) => path.join(dir, `room_${roomId}.json`);
+  const journalFile = (roomId) => path.join(dir, `room_${roomId}.log.jsonl`);
+  const ensureDir = () => {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  };
+  const readRoomFile = (filePath) => (fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null);
+
+  return {
+    name: 'json',
+
+    loadRoom(roomId) {
+      try {
+        return readRoomFile(roomFile(roomId));
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Room file for "${roomId}" is unreadable, trying the backup:`, error.message);
+        const backup = readRoomFile(`${roomFile(roomId)}.bak`);
+        if (backup) console.log(`[${new Date().toISOString()}] Recovered room "${roomId}" from its backup`);
+        return backup;
+      }
+    },
+
+    saveRoom(roomId, data) {
+      ensureDir();
+      const filePath = roomFile(roomId);
+      const tempPath = `${filePath}.tmp`;
+      const fd = fs.openSync(tempPath, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      if (fs.existsSync(filePath)) fs.copyFileSync(filePath, `${filePath}.bak`);
+      fs.renameSync(tempPath, filePath);
+    },
+
+    hasRoom(roomId) {
+      return fs.existsSync(roomFile(roomId));
+    },
+
+    listRooms() {
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .map(file => file.match(/^room_([a-zA-Z0-9_-]+)\.json$/))
+        .filter(Boolean)
+        .map(match => match[1]);
+    },
+
+    deleteRoom(roomId) {
+      for (const filePath of [roomFile(roomId), `${roomFile(roomId)}.bak`, journalFile(roomId)]) {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+      }
+    },
+
+    appendEvent(roomId, entry) {
+      ensureDir();
+      fs.appendFileSync(journalFile(roomId), JSON.stringify(entry) + '\n');
+    },
+
+    // A line torn by a crash mid-append is skipped rather than losing the whole journal
+    readEvents(roomId) {
+      const filePath = journalFile(roomId);
+      if (!fs.existsSync(filePath)) return [];
+      const entries = [];
+      for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          console.error(`[${new Date().toISOString()}] Skipping unreadable journal line for "${roomId}"`);
+        }
+      }
+      return entries;
+    },
+
+    close() {}
+  };
+}
+
+// Embedded SQLite database (better-sqlite3, an optional dependency). Rounds, categories, climbers
+// and results get their own tables; each save replaces the room's rows in one transaction
+function createSqliteStorage(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rooms (id TEXT PRIMARY KEY, state TEXT NOT NULL, updated_at TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS rounds (
+      room_id TEXT NOT NULL, round_index INTEGER NOT NULL, name TEXT, settings TEXT NOT NULL,
+      PRIMARY KEY (room_id, round_index));
+    CREATE TABLE IF NOT EXISTS categories (
+      room_id TEXT NOT NULL, round_index INTEGER NOT NULL, position INTEGER NOT NULL,
+      id INTEGER, name TEXT, state TEXT NOT NULL,
+      PRIMARY KEY (room_id, round_index, position));
+    CREATE TABLE IF NOT EXISTS climbers (
+      room_id TEXT NOT NULL, round_index INTEGER NOT NULL, category_position INTEGER NOT NULL, position INTEGER NOT NULL,
+      id TEXT NOT NULL, bib TEXT, first_name TEXT, last_name TEXT, team TEXT, division TEXT,
+      PRIMARY KEY (room_id, round_index, category_position, position));
+    CREATE TABLE IF NOT EXISTS results (
+      room_id TEXT NOT NULL, round_index INTEGER NOT NULL, category_position INTEGER NOT NULL,
+      climber_id TEXT NOT NULL, boulder_id TEXT NOT NULL,
+      attempts INTEGER NOT NULL, low_zone INTEGER, zone INTEGER, top INTEGER,
+      PRIMARY KEY (room_id, round_index, category_position, climber_id, boulder_id));
+    CREATE TABLE IF NOT EXISTS events (
+      room_id TEXT NOT NULL, seq INTEGER NOT NULL, at TEXT NOT NULL, actor TEXT, action TEXT NOT NULL, details TEXT,
+      PRIMARY KEY (room_id, seq));
+  `);
+
+  const ROOM_TABLES = ['results', 'climbers', 'categories', 'rounds', 'rooms'];
+  const statements = {
+    getRoom: db.prepare('SELECT state FROM rooms WHERE id = ?'),
+    getRounds: db.prepare('SELECT * FROM rounds WHERE room_id = ? ORDER BY round_index'),
+    getCategories: db.prepare('SELECT * FROM categories WHERE room_id = ? ORDER BY round_index, position'),
+    getClimbers: db.prepare('SELECT * FROM climbers WHERE room_id = ? ORDER BY round_index, category_position, position'),
+    getResults: db.prepare('SELECT * FROM results WHERE room_id = ?'),
+    putRoom: db.prepare('INSERT OR REPLACE INTO rooms (id, state, updated_at) VALUES (?, ?, ?)'),
+    putRound: db.prepare('INSERT INTO rounds (room_id, round_index, name, settings) VALUES (?, ?, ?, ?)'),
+    putCategory: db.prepare('INSERT INTO categories (room_id, round_index, position, id, name, state) VALUES (?, ?, ?, ?, ?, ?)'),
+    putClimber: db.prepare('INSERT INTO climbers (room_id, round_index, category_position, position, id, bib, first_name, last_name, team, division) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'),
+    putResult: db.prepare('INSERT INTO results (room_id, round_index, category_position, climber_id, boulder_id, attempts, low_zone, zone, top) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'),
+    listRooms: db.prepare('SELECT id FROM rooms ORDER BY id'),
+    putEvent: db.prepare('INSERT OR REPLACE INTO events (room_id, seq, at, actor, action, details) VALUES (?, ?, ?, ?, ?, ?)'),
+    getEvents: db.prepare('SELECT * FROM events WHERE room_id = ? ORDER BY seq'),
+    deleteEvents: db.prepare('DELETE FROM events WHERE room_id = ?')
+  };
+  const deleteRoomRows = ROOM_TABLES.map(table => db.prepare(`DELETE FROM ${table} WHERE ${table === 'rooms' ? 'id' : 'room_id'} = ?`));
+
+  const saveRoom = db.transaction((roomId, data) => {
+    deleteRoomRows.forEach(statement => statement.run(roomId));
+    const { rounds, ...roomState } = data;
+    statements.putRoom.run(roomId, JSON.stringify(roomState), new Date().toISOString());
+    (rounds || []).forEach((round, roundIndex) => {
+      const { name, categories, ...settings } = round;
+      statements.putRound.run(roomId, roundIndex, name ?? null, JSON.stringify(settings));
+      (categories || []).forEach((category, position) => {
+        const { id, name: categoryName, climbers, results, ...state } = category;
+        statements.putCategory.run(roomId, roundIndex, position, id ?? null, categoryName ?? null, JSON.stringify(state));
+        (climbers || []).forEach((climber, climberPosition) => {
+          statements.putClimber.run(roomId, roundIndex, position, climberPosition, climber.id,
+            climber.bib ?? null, climber.firstName ?? null, climber.lastName ?? null, climber.team ?? null, climber.division ?? null);
+        });
+        for (const [climberId, boulders] of Object.entries(results || {})) {
+          for (const [boulderId, result] of Object.entries(boulders)) {
+            statements.putResult.run(roomId, roundIndex, position, climberId, boulderId,
+              result.attempts ?? 0, result.lowZone ?? null, result.zone ?? null, result.top ?? null);
+          }
+        }
+      });
+    });
+  });
+
+  return {
+    name: 'sqlite',
+
+    loadRoom(roomId) {
+      const row = statements.getRoom.get(roomId);
+      if (!row) return null;
+      const rounds = statements.getRounds.all(roomId).map(r => ({ name: r.name, ...JSON.parse(r.settings), categories: [] }));
+      for (const c of statements.getCategories.all(roomId)) {
+        rounds[c.round_index].categories[c.position] = { id: c.id, name: c.name, ...JSON.parse(c.state), climbers: [] };
+      }
+      for (const c of statements.getClimbers.all(roomId)) {
+        rounds[c.round_index].categories[c.category_position].climbers.push({
+          id: c.id, bib: c.bib, firstName: c.first_name, lastName: c.last_name, team: c.team, division: c.division
+        });
+      }
+      for (const r of statements.getResults.all(roomId)) {
+        const category = rounds[r.round_index].categories[r.category_position];
+        category.results = category.results || {};
+        category.results[r.climber_id] = category.results[r.climber_id] || {};
+        category.results[r.climber_id][r.boulder_id] = { attempts: r.attempts, lowZone: r.low_zone, zone: r.zone, top: r.top };
+      }
+      return { ...JSON.parse(row.state), rounds: rounds };
+    },
+
+    saveRoom(roomId, data) {
+      saveRoom(roomId, data);
+    },
+
+    hasRoom(roomId) {
+      return !!statements.getRoom.get(roomId);
+    },
+
+    listRooms() {
+      return statements.listRooms.all().map(row => row.id);
+    },
+
+    deleteRoom(roomId) {
+      db.transaction(() => {
+        deleteRoomRows.forEach(statement => statement.run(roomId));
+        statements.deleteEvents.run(roomId);
+      })();
+    },
+
+    appendEvent(roomId, entry) {
+      statements.putEvent.run(roomId, entry.seq, entry.at, JSON.stringify(entry.actor ?? null), entry.action, JSON.stringify(entry.details ?? {}));
+    },
+
+    readEvents(roomId) {
+      return statements.getEvents.all(roomId).map(e => ({
+        seq: e.seq, at: e.at, actor: JSON.parse(e.actor), action: e.action, details: JSON.parse(e.details)
+      }));
+    },
+
+    close() {
+      db.close();
+    }
   };
 }
 
-// Get persistence file path for a room
-function getRoomDataFile(roomId) {
-  return path.join(DATA_DIR, `room_${roomId}.json`);
+function createStorage(backend) {
+  if (backend === 'sqlite') return createSqliteStorage(SQLITE_FILE);
+  if (backend === 'json') return createJsonStorage(DATA_DIR);
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use json or sqlite)`);
+}
+
+// Copy rooms and journals over from the other backend the first time this one is used
+// The source is left untouched, so switching back is always possible
+function migrateStorage(target) {
+  try {
+    if (target.listRooms().length > 0) return;
+
+    let source;
+    if (target.name === 'sqlite') {
+      source = createJsonStorage(DATA_DIR);
+    } else if (fs.existsSync(SQLITE_FILE)) {
+      source = createSqliteStorage(SQLITE_FILE);
+    } else {
+      return;
+    }
+
+    const roomIds = source.listRooms();
+    for (const roomId of roomIds) {
+      const data = source.loadRoom(roomId);
+      if (!data) continue;
+      target.saveRoom(roomId, data);
+      source.readEvents(roomId).forEach(entry => target.appendEvent(roomId, entry));
+    }
+    source.close();
+    if (roomIds.length > 0) {
+      console.log(`[${new Date().toISOString()}] Migrated ${roomIds.length} rooms from ${source.name} to ${target.name} storage`);
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error during storage migration:`, error);
+  }
+}
+
+let storage;
+try {
+  storage = createStorage(STORAGE_BACKEND);
+} catch (error) {
+  console.error(`[${new Date().toISOString()}] ${error.message}`);
+  process.exit(1);
 }
+console.log(`[${new Date().toISOString()}] Using ${storage.name} storage`);
+migrateStorage(storage);
 
 // Load room data from persistence
 function loadRoomData(roomId) {
   try {
-    const filePath = getRoomDataFile(roomId);
-    if (fs.existsSync(filePath)) {
-      const data = fs.readFileSync(filePath, 'utf8');
-      const parsed = JSON.parse(data);
+    const data = storage.loadRoom(roomId);
+    if (data) {
       console.log(`[${new Date().toISOString()}] Loaded room data for "${roomId}"`);
-      return parsed;
     }
+    return data;
   } catch (error) {
     console.error(`[${new Date().toISOString()}] Error loading room data for "${roomId}":`, error);
   }
@@ -82,22 +494,46 @@ function loadRoomData(roomId) {
 // Save room data to persistence
 function saveRoomData(roomId, room) {
   try {
-    if (!fs.existsSync(DATA_DIR)) {
-      fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
+    const ts = room.timerState;
     const dataToSave = {
-      rounds: room.timerState.rounds,
-      activeRoundIndex: room.timerState.activeRoundIndex
+      rounds: ts.rounds,
+      activeRoundIndex: ts.activeRoundIndex,
+      operatorPin: room.auth.operatorPin,
+      judgeSecret: room.auth.judgeSecret,
+      webhooks: room.webhooks.map(({ id, url, secret, events, createdAt }) => ({ id, url, secret, events, createdAt })),
+      masterRoomId: room.masterRoomId,
+      appliedActions: [...room.appliedActions],
+      revision: room.revision,
+      audio: room.audio,
+      // Clock state - with the absolute deadline a restart can resume a running timer
+      timer: {
+        climbMin: ts.climbMin,
+        climbSec: ts.climbSec,
+        transMin: ts.transMin,
+        transSec: ts.transSec,
+        showNames: ts.showNames,
+        phase: ts.phase,
+        running: ts.running,
+        remaining: ts.remaining,
+        phaseEndsAt: ts.phaseEndsAt,
+        pausedRemainingMs: ts.pausedRemainingMs
+      }
     };
-    fs.writeFileSync(getRoomDataFile(roomId), JSON.stringify(dataToSave, null, 2));
+    storage.saveRoom(roomId, dataToSave);
     console.log(`[${new Date().toISOString()}] Saved room data for "${roomId}"`);
   } catch (error) {
     console.error(`[${new Date().toISOString()}] Error saving room data for "${roomId}":`, error);
   }
 }
 
-// Get or create a room
-function getOrCreateRoom(roomId) {
+// An existing room, loaded from storage if it isn't in memory; null for unknown rooms
+function findRoom(roomId) {
+  if (rooms.has(roomId)) return rooms.get(roomId);
+  return storage.hasRoom(roomId) ? getOrCreateRoom(roomId) : null;
+}
+
+// Get or create a room - creating one is for the admin create path (and the default room) only
+function getOrCreateRoom(roomId, operatorPin) {
   if (!rooms.has(roomId)) {
     const room = createRoomState();
 
@@ -108,31 +544,131 @@ function getOrCreateRoom(roomId) {
       if (Array.isArray(persistedData.rounds)) {
         room.timerState.rounds = persistedData.rounds.map(r => ({
           ...r,
-          categories: r.categories || []
+          categories: (r.categories || []).map(normalizeCategoryClimbers)
         }));
       }
       room.timerState.activeRoundIndex = persistedData.activeRoundIndex || 0;
       room.timerState.categories = room.timerState.rounds[room.timerState.activeRoundIndex]?.categories || [];
+      restoreTimerState(room.timerState, persistedData.timer);
+      if (Array.isArray(persistedData.webhooks)) {
+        room.webhooks = persistedData.webhooks;
+      }
+      if (typeof persistedData.masterRoomId === 'string') {
+        room.masterRoomId = sanitizeRoomId(persistedData.masterRoomId);
+      }
+      if (Array.isArray(persistedData.appliedActions)) {
+        room.appliedActions = new Map(persistedData.appliedActions.filter(entry => Array.isArray(entry) && isValidActionId(entry[0])));
+      }
+      if (Number.isInteger(persistedData.revision)) {
+        room.revision = persistedData.revision;
+      }
+      if (persistedData.audio && !validateAudioSettings(persistedData.audio)) {
+        room.audio = pickAudioSettings(persistedData.audio);
+      }
+
+      if (typeof persistedData.judgeSecret === 'string') {
+        room.auth.judgeSecret = persistedData.judgeSecret;
+      }
+
+      // Rooms saved before operator PINs existed get one generated on load
+      if (isValidPin(persistedData.operatorPin)) {
+        room.auth.operatorPin = persistedData.operatorPin;
+      } else {
+        room.auth.operatorPin = generatePin();
+        saveRoomData(roomId, room);
+        console.log(`[${new Date().toISOString()}] Generated operator PIN for existing room "${roomId}": ${room.auth.operatorPin}`);
+      }
+    } else {
+      // A new room gets its PIN here, never from the first client - the organizer reads it from the log
+      room.auth.operatorPin = operatorPin || generatePin();
+      saveRoomData(roomId, room);
+      if (!operatorPin) {
+        console.log(`[${new Date().toISOString()}] Generated operator PIN for new room "${roomId}": ${room.auth.operatorPin}`);
+      }
     }
+    seedCategoryRevisions(room);
 
     rooms.set(roomId, room);
     console.log(`[${new Date().toISOString()}] Created room "${roomId}"`);
+
+    // Resume a clock that was running when the process stopped
+    if (room.timerState.running) {
+      console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Resuming running timer (${room.timerState.phase})`);
+      startServerTimerForRoom(roomId);
+    }
+
+    // A follower picks up its master's clock, or goes solo if the master is gone
+    if (room.masterRoomId) {
+      if (rooms.has(room.masterRoomId) || storage.hasRoom(room.masterRoomId)) {
+        getOrCreateRoom(room.masterRoomId);
+        syncFollowerClocks(room.masterRoomId);
+      } else {
+        console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Master room "${room.masterRoomId}" no longer exists, unlinking`);
+        room.masterRoomId = null;
+      }
+    }
   }
   return rooms.get(roomId);
 }
 
-// Get list of all active rooms
-function getAllRooms() {
+// Restore persisted clock state, ignoring anything malformed
+function restoreTimerState(ts, saved) {
+  if (!saved || typeof saved !== 'object') return;
+
+  for (const key of ['climbMin', 'climbSec', 'transMin', 'transSec']) {
+    if (Number.isInteger(saved[key]) && saved[key] >= 0) {
+      ts[key] = saved[key];
+    }
+  }
+  if (typeof saved.showNames === 'boolean') {
+    ts.showNames = saved.showNames;
+  }
+  if (!['stopped', 'climb', 'transition'].includes(saved.phase)) return;
+
+  ts.phase = saved.phase;
+  ts.remaining = Number.isInteger(saved.remaining) ? saved.remaining : ts.remaining;
+  ts.pausedRemainingMs = Number.isFinite(saved.pausedRemainingMs) ? saved.pausedRemainingMs : null;
+  if (saved.running && Number.isFinite(saved.phaseEndsAt)) {
+    ts.running = true;
+    ts.phaseEndsAt = saved.phaseEndsAt;
+  }
+}
+
+// Load every persisted room whose timer was running (or that follows another room's clock, or has
+// a round waiting to auto-start), so clocks resume after a crash or redeploy
+function resumeRunningRooms() {
+  try {
+    for (const roomId of storage.listRooms()) {
+      if (rooms.has(roomId)) continue;
+      const data = loadRoomData(roomId);
+      if (data?.timer?.running || data?.masterRoomId || data?.rounds?.some(r => r.autoStartAt)) {
+        getOrCreateRoom(roomId);
+      }
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error resuming running rooms:`, error);
+  }
+}
+
+// Get list of all active rooms (operator PINs only included for admins)
+function getAllRooms(includePins = false) {
   const roomList = [];
   for (const [roomId, room] of rooms) {
-    roomList.push({
+    const entry = {
       id: roomId,
       connectedClients: room.connectedClients,
       phase: room.timerState.phase,
       running: room.timerState.running,
       categoriesCount: room.timerState.categories.length,
-      roundsCount: room.timerState.rounds.length
-    });
+      roundsCount: room.timerState.rounds.length,
+      hasOperatorPin: !!room.auth.operatorPin,
+      masterRoomId: room.masterRoomId,
+      followers: getFollowerRooms(roomId).map(([followerId]) => followerId)
+    };
+    if (includePins) {
+      entry.operatorPin = room.auth.operatorPin;
+    }
+    roomList.push(entry);
   }
   return roomList;
 }
@@ -148,16 +684,19 @@ function deleteRoom(roomId) {
     if (room.timerInterval) {
       clearInterval(room.timerInterval);
     }
+    for (const res of room.streamClients) {
+      res.end();
+    }
+    for (const [followerId] of getFollowerRooms(roomId)) {
+      unlinkRoom(followerId);
+    }
     rooms.delete(roomId);
 
-    // Delete persistence file
+    // Delete persisted state and journal
     try {
-      const filePath = getRoomDataFile(roomId);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
+      storage.deleteRoom(roomId);
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] Error deleting room file for "${roomId}":`, error);
+      console.error(`[${new Date().toISOString()}] Error deleting room data for "${roomId}":`, error);
     }
 
     console.log(`[${new Date().toISOString()}] Deleted room "${roomId}"`);
@@ -166,17 +705,11 @@ function deleteRoom(roomId) {
   return false;
 }
 
-// Migrate old categories.json to room_default.json on first run
+// Migrate old categories.json to the default room on first run
 function migrateOldCategories() {
   try {
-    if (!fs.existsSync(DATA_DIR)) {
-      fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
-
-    const defaultRoomFile = getRoomDataFile(DEFAULT_ROOM);
-
-    // If default room file already exists, skip migration
-    if (fs.existsSync(defaultRoomFile)) {
+    // If the default room already exists, skip migration
+    if (storage.hasRoom(DEFAULT_ROOM)) {
       return;
     }
 
@@ -198,9 +731,9 @@ function migrateOldCategories() {
         migrationData.activeRoundIndex = parsed.activeRoundIndex || 0;
       }
 
-      // Save to new room file
-      fs.writeFileSync(defaultRoomFile, JSON.stringify(migrationData, null, 2));
-      console.log(`[${new Date().toISOString()}] Migrated categories.json to room_default.json`);
+      // Save as the default room
+      storage.saveRoom(DEFAULT_ROOM, migrationData);
+      console.log(`[${new Date().toISOString()}] Migrated categories.json to the default room`);
     }
   } catch (error) {
     console.error(`[${new Date().toISOString()}] Error during migration:`, error);
@@ -210,418 +743,3206 @@ function migrateOldCategories() {
 // Run migration on startup
 migrateOldCategories();
 
-const app = express();
-const server = http.createServer(app);
-
-// Socket.IO with CORS configuration for cloud deployment
-const io = socketIo(server, {
-  cors: {
-    origin: '*',
-    methods: ['GET', 'POST']
-  },
-  pingTimeout: 60000,
-  pingInterval: 25000
-});
+// --- Event Journal ---
+// Every operator action is appended to the room's journal (data/room_<id>.log.jsonl with JSON
+// storage, the events table with SQLite): { seq, at, actor: { clientId, role, address }, action, details }
+// Rotation actions also keep the rotation state from before them, so undo-last can restore it
 
-// Serve static files from the public directory
-app.use(express.static(path.join(__dirname, 'public')));
+const MAX_UNDO_STEPS = 50;
+const SYSTEM_ACTOR = { clientId: 'server', role: 'system' };
 
-// Health check endpoint for monitoring services
-app.get('/health', (req, res) => {
-  let totalClients = 0;
-  for (const room of rooms.values()) {
-    totalClients += room.connectedClients;
+function readJournal(roomId) {
+  try {
+    return storage.readEvents(roomId);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error reading journal for "${roomId}":`, error);
+    return [];
   }
-  res.status(200).json({
-    status: 'healthy',
-    uptime: process.uptime(),
-    connectedClients: totalClients,
-    roomCount: rooms.size,
-    timestamp: new Date().toISOString()
-  });
-});
-
-// API endpoint to get current timer state for a room
-app.get('/api/state', (req, res) => {
-  const roomId = sanitizeRoomId(req.query.room || DEFAULT_ROOM);
-  const room = getOrCreateRoom(roomId);
-  res.json({
-    state: room.timerState,
-    connectedClients: room.connectedClients,
-    roomId: roomId
-  });
-});
+}
 
-// API endpoint to list all rooms
-app.get('/api/rooms', (req, res) => {
-  res.json({
-    rooms: getAllRooms()
-  });
-});
+function getSocketActor(socket) {
+  return { clientId: socket.id, role: socket.role, address: socket.handshake.address };
+}
 
-// API endpoint to create a new room
-app.post('/api/rooms', express.json(), (req, res) => {
-  const { roomId } = req.body;
-  const sanitizedId = sanitizeRoomId(roomId);
+function getRequestActor(req) {
+  return { clientId: 'http', role: req.role, address: req.ip };
+}
 
-  if (!sanitizedId) {
-    return res.status(400).json({ error: 'Invalid room ID' });
+function recordEvent(roomId, room, actor, action, details = {}) {
+  if (room.journalSeq === null) {
+    const entries = readJournal(roomId);
+    room.journalSeq = entries.length > 0 ? entries[entries.length - 1].seq : 0;
   }
 
-  if (rooms.has(sanitizedId)) {
-    return res.status(409).json({ error: 'Room already exists' });
+  const entry = { seq: ++room.journalSeq, at: new Date().toISOString(), actor, action, details };
+  try {
+    storage.appendEvent(roomId, entry);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error writing journal for "${roomId}":`, error);
   }
+  return entry;
+}
 
-  getOrCreateRoom(sanitizedId);
-
-  res.json({
-    success: true,
-    roomId: sanitizedId
-  });
-});
+// --- Replay-safe actions ---
+// Clients that queue actions while offline (judge tablets) tag each one with a unique actionId.
+// An action replayed after it was already applied is acked with its first response, not applied again.
 
-// API endpoint to delete a room
-app.delete('/api/rooms/:roomId', (req, res) => {
-  const roomId = sanitizeRoomId(req.params.roomId);
+const MAX_APPLIED_ACTIONS = 500;
 
-  const room = rooms.get(roomId);
-  if (!room) {
-    return res.status(404).json({ error: 'Room not found' });
-  }
+function isValidActionId(actionId) {
+  return typeof actionId === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(actionId);
+}
 
-  // Disconnect all clients in the room
-  io.to(roomId).emit('room-deleted');
+function getAppliedAction(room, actionId) {
+  return isValidActionId(actionId) ? room.appliedActions.get(actionId) || null : null;
+}
 
-  if (deleteRoom(roomId)) {
-    res.json({ success: true });
-  } else {
-    res.status(400).json({ error: 'Cannot delete this room' });
+// Remember a successful action's ack, dropping the oldest once the limit is reached
+function rememberAppliedAction(room, actionId, response) {
+  if (!isValidActionId(actionId)) return;
+  room.appliedActions.set(actionId, response);
+  if (room.appliedActions.size > MAX_APPLIED_ACTIONS) {
+    room.appliedActions.delete(room.appliedActions.keys().next().value);
   }
-});
-
-// API endpoint to import climbers from Excel
-// Excel format: Each sheet = one round. Column headers = category names, rows = climber names
-app.post('/api/import-excel', upload.single('excel'), (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    // Get room from query parameter
-    const roomId = sanitizeRoomId(req.query.room || DEFAULT_ROOM);
-    const room = getOrCreateRoom(roomId);
-
-    // Parse Excel file from buffer
-    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
+}
 
-    // Process ALL sheets - each sheet becomes a round
-    const newRounds = [];
-    let globalCategoryId = 1;
+// --- Revisions ---
+// The room revision goes up with every change to the active round's categories, and each category
+// carries its own revision. Edits can name the revision they were made against and are rejected
+// with a conflict if someone else changed it first. Clients are sent field-level patches.
 
-    for (const sheetName of workbook.SheetNames) {
-      const worksheet = workbook.Sheets[sheetName];
+const PATCH_FIELDS = ['name', 'climbers', 'boulders', 'climberProgress'];
 
-      // Convert to JSON with headers as first row
-      const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+function getCategoryFingerprints(category) {
+  return Object.fromEntries(PATCH_FIELDS.map(field => [field, JSON.stringify(category[field] ?? null)]));
+}
 
-      if (data.length < 2) {
-        // Skip empty sheets
-        continue;
-      }
+// Track the active round's categories from scratch (room load, round switch)
+function seedCategoryRevisions(room) {
+  const ts = room.timerState;
+  room.trackedCategories = new Map();
+  room.trackedRoundIndex = ts.activeRoundIndex;
+  for (const category of ts.categories) {
+    if (!Number.isInteger(category.revision)) category.revision = 1;
+    room.trackedCategories.set(category.id, { revision: category.revision, fingerprints: getCategoryFingerprints(category) });
+  }
+}
 
-      // First row is headers (category names)
-      const headers = data[0].filter(h => h && String(h).trim());
+// Compare the active round's categories with what clients were last sent, bumping revisions
+// Returns a patch, { full: true } after a round switch, or null if nothing changed
+function collectCategoryChanges(room) {
+  const ts = room.timerState;
+  if (room.trackedRoundIndex !== ts.activeRoundIndex) {
+    seedCategoryRevisions(room);
+    room.revision++;
+    return { full: true };
+  }
 
-      if (headers.length === 0) {
-        // Skip sheets without category headers
-        continue;
+  const previous = room.trackedCategories;
+  const tracked = new Map();
+  const changed = [];
+  const added = [];
+  for (const category of ts.categories) {
+    const fingerprints = getCategoryFingerprints(category);
+    const before = previous.get(category.id);
+    if (!before) {
+      if (!Number.isInteger(category.revision)) category.revision = 1;
+      added.push(category);
+    } else {
+      // A replaced category object keeps counting from the tracked revision
+      category.revision = Math.max(before.revision, Number.isInteger(category.revision) ? category.revision : 0);
+      const fields = PATCH_FIELDS.filter(field => fingerprints[field] !== before.fingerprints[field]);
+      if (fields.length > 0) {
+        category.revision++;
+        changed.push({ id: category.id, revision: category.revision, fields: Object.fromEntries(fields.map(field => [field, category[field]])) });
       }
+    }
+    tracked.set(category.id, { revision: category.revision, fingerprints: fingerprints });
+  }
 
-      if (headers.length > 4) {
-        return res.status(400).json({ error: `Sheet "${sheetName}": Maximum 4 categories allowed. Found: ${headers.length}` });
-      }
+  const removed = [...previous.keys()].filter(id => !tracked.has(id));
+  const order = [...tracked.keys()];
+  const reordered = removed.length === 0 && order.some((id, i) => [...previous.keys()][i] !== id);
+  if (changed.length === 0 && added.length === 0 && removed.length === 0 && !reordered) return null;
 
-      // Build categories from columns for this sheet
-      const roundCategories = headers.map((categoryName, colIndex) => {
-        // Get climbers from this column (rows 1+)
-        const climbers = [];
-        for (let rowIndex = 1; rowIndex < data.length; rowIndex++) {
-          const cellValue = data[rowIndex][colIndex];
-          if (cellValue && String(cellValue).trim()) {
-            climbers.push(String(cellValue).trim());
-          }
-        }
+  room.trackedCategories = tracked;
+  room.revision++;
+  return {
+    baseRevision: room.revision - 1,
+    revision: room.revision,
+    roundIndex: ts.activeRoundIndex,
+    changed: changed,
+    added: added,
+    removed: removed,
+    order: order
+  };
+}
 
-        // All boulders start with climber index 0 - climbers progress B1 -> B2 -> B3 -> B4
-        return {
-          id: globalCategoryId++,
-          name: String(categoryName).trim(),
-          boulders: [
-            { boulderId: 1, climbers: [...climbers], currentClimberIndex: 0, skipNext: false, hasStarted: false },
-            { boulderId: 2, climbers: [...climbers], currentClimberIndex: 0, skipNext: false, hasStarted: false },
-            { boulderId: 3, climbers: [...climbers], currentClimberIndex: 0, skipNext: false, hasStarted: false },
-            { boulderId: 4, climbers: [...climbers], currentClimberIndex: 0, skipNext: false, hasStarted: false }
-          ],
-          climberProgress: {}
-        };
-      });
+function getCategoriesSnapshot(room) {
+  return { revision: room.revision, roundIndex: room.timerState.activeRoundIndex, categories: room.timerState.categories };
+}
 
-      // Add this round (use "Round X" naming instead of sheet name)
-      newRounds.push({
-        name: `Round ${newRounds.length + 1}`,
-        categories: roundCategories
+// Send the room what changed in its categories: a patch, or a full snapshot after a round switch
+function broadcastCategories(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  const patch = collectCategoryChanges(room);
+  if (!patch) return;
+  if (patch.full) {
+    emitToRoom(roomId, 'categories-sync', getCategoriesSnapshot(room));
+  } else {
+    emitToRoom(roomId, 'categories-patch', patch);
+  }
+}
+
+// Conflict error for a write made against an older revision; writes without one always apply
+function checkRevision(expectedRevision, currentRevision, label) {
+  if (expectedRevision === undefined || expectedRevision === null || expectedRevision === currentRevision) return null;
+  return {
+    ...commandError('conflict', `${label} was changed by someone else (now at revision ${currentRevision}, you had ${expectedRevision})`),
+    revision: currentRevision
+  };
+}
+
+// Rotation state of the active round: each category's boulders and climber progress
+function captureRotationState(timerState) {
+  return {
+    roundIndex: timerState.activeRoundIndex,
+    categories: timerState.categories.map(c => ({
+      id: c.id,
+      boulders: structuredClone(c.boulders),
+      climberProgress: structuredClone(c.climberProgress || {})
+    }))
+  };
+}
+
+// Journal a rotation action and keep the state from before it for undo-last
+function recordRotationEvent(roomId, room, snapshot, actor, action, details) {
+  const entry = recordEvent(roomId, room, actor, action, details);
+  room.undoStack.push({ seq: entry.seq, action: action, snapshot: snapshot });
+  if (room.undoStack.length > MAX_UNDO_STEPS) {
+    room.undoStack.shift();
+  }
+  if (ROTATION_ADVANCE_ACTIONS.includes(action)) {
+    dispatchRotationEvents(roomId, room, snapshot, action);
+  }
+  return entry;
+}
+
+// Start list and boulder edits make older snapshots of a category stale: undo-last would write them
+// back over the edit. Forget the category in the round's snapshots (without categoryId, the whole round)
+function dropUndoSteps(room, roundIndex, categoryId) {
+  room.undoStack = room.undoStack.filter(step => {
+    if (step.snapshot.roundIndex !== roundIndex) return true;
+    if (categoryId === undefined) return false;
+    step.snapshot.categories = step.snapshot.categories.filter(c => c.id !== categoryId);
+    return step.snapshot.categories.length > 0;
+  });
+}
+
+// Put back the rotation state from before the most recent rotation action
+// Rounds keep their progress across switches, so only a step of the active round (the one on screen) is undone
+// Returns { error } or { step } with the undone action
+function undoLastRotation(timerState, room) {
+  const step = room.undoStack[room.undoStack.length - 1];
+  if (!step) {
+    return { error: commandError('invalid-state', 'Nothing to undo') };
+  }
+
+  const round = timerState.rounds[step.snapshot.roundIndex];
+  if (!round) {
+    room.undoStack.pop();
+    return { error: commandError('invalid-state', 'The round of the last action no longer exists') };
+  }
+  if (step.snapshot.roundIndex !== timerState.activeRoundIndex) {
+    return { error: commandError('invalid-state', `The last step was in ${round.name} - switch to it to undo`) };
+  }
+  room.undoStack.pop();
+  for (const saved of step.snapshot.categories) {
+    const category = round.categories.find(c => c.id === saved.id);
+    if (category) {
+      category.boulders = saved.boulders;
+      category.climberProgress = saved.climberProgress;
+    }
+  }
+  return { step };
+}
+
+// --- Webhooks ---
+// Each room can have HTTP subscribers: { id, url, secret, events, createdAt }, saved with the room.
+// Deliveries POST { id, event, roomId, occurredAt, data } signed with an HMAC-SHA256 of the body
+// (X-Webhook-Signature: sha256=<hex>) and are retried with backoff on network errors, 408, 429 and 5xx.
+
+const WEBHOOK_EVENTS = ['climb-start', 'transition-start', 'one-minute-warning', 'rotation-completed', 'climber-completed', 'round-switched'];
+const WEBHOOK_RETRY_DELAYS_MS = [1000, 5000, 30000, 120000, 600000];
+const WEBHOOK_TIMEOUT_MS = 5000;
+const MAX_WEBHOOKS_PER_ROOM = 10;
+// Rotation actions that move climbers on; skips and resets don't count as a completed rotation
+const ROTATION_ADVANCE_ACTIONS = ['auto-advance', 'advance-all-climbers', 'advance-category', 'advance-boulder', 'advance-climber'];
+
+function signWebhookBody(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// Returns a message describing what's wrong, or null
+function validateWebhook(data) {
+  if (typeof data !== 'object' || data === null) return 'Expected { url, events, secret? }';
+  let url;
+  try {
+    url = new URL(data.url);
+  } catch {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'url must be an absolute http(s) URL';
+  if (data.events !== undefined) {
+    if (!Array.isArray(data.events) || data.events.length === 0) return 'events must be a non-empty array';
+    const unknown = data.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) return `Unknown events: ${unknown.join(', ')}`;
+  }
+  if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < 16)) {
+    return 'secret must be a string of at least 16 characters';
+  }
+  return null;
+}
+
+function deliverWebhook(roomId, room, webhook, delivery, attempt = 0) {
+  const body = JSON.stringify(delivery);
+  const retry = (reason) => {
+    webhook.lastDelivery = { id: delivery.id, event: delivery.event, at: new Date().toISOString(), ok: false, error: reason, attempt: attempt + 1 };
+    if (attempt >= WEBHOOK_RETRY_DELAYS_MS.length || !room.webhooks.includes(webhook)) {
+      console.error(`[${new Date().toISOString()}] [Room: ${roomId}] Webhook ${delivery.event} to ${webhook.url} failed: ${reason}`);
+      return;
+    }
+    setTimeout(() => deliverWebhook(roomId, room, webhook, delivery, attempt + 1), WEBHOOK_RETRY_DELAYS_MS[attempt]);
+  };
+
+  fetch(webhook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'climbing-timer-web',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Signature': signWebhookBody(webhook.secret, body)
+    },
+    body: body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  }).then(response => {
+    if (response.ok) {
+      webhook.lastDelivery = { id: delivery.id, event: delivery.event, at: new Date().toISOString(), ok: true, status: response.status, attempt: attempt + 1 };
+    } else if (response.status === 408 || response.status === 429 || response.status >= 500) {
+      retry(`HTTP ${response.status}`);
+    } else {
+      webhook.lastDelivery = { id: delivery.id, event: delivery.event, at: new Date().toISOString(), ok: false, status: response.status, attempt: attempt + 1 };
+      console.error(`[${new Date().toISOString()}] [Room: ${roomId}] Webhook ${delivery.event} to ${webhook.url} rejected: HTTP ${response.status}`);
+    }
+  }).catch(error => retry(error.message));
+}
+
+// Send an event to every webhook of the room that subscribed to it
+function dispatchWebhookEvent(roomId, room, event, data) {
+  const subscribers = room.webhooks.filter(webhook => webhook.events.includes(event));
+  if (subscribers.length === 0) return;
+
+  const delivery = {
+    id: crypto.randomUUID(),
+    event: event,
+    roomId: roomId,
+    occurredAt: new Date().toISOString(),
+    data: data
+  };
+  for (const webhook of subscribers) {
+    deliverWebhook(roomId, room, webhook, delivery);
+  }
+}
+
+// climb-start / transition-start for the phase the room just entered
+function dispatchPhaseStart(roomId, room) {
+  const ts = room.timerState;
+  if (ts.phase !== 'climb' && ts.phase !== 'transition') return;
+  dispatchWebhookEvent(roomId, room, `${ts.phase}-start`, {
+    phase: ts.phase,
+    running: ts.running,
+    remaining: ts.remaining,
+    phaseEndsAt: ts.phaseEndsAt,
+    roundIndex: ts.activeRoundIndex,
+    roundName: ts.rounds[ts.activeRoundIndex]?.name || null
+  });
+}
+
+// rotation-completed with who is now on each boulder, plus climber-completed for everyone
+// who finished their last boulder in this step (compared with the snapshot from before it)
+function dispatchRotationEvents(roomId, room, snapshot, action) {
+  const ts = room.timerState;
+  dispatchWebhookEvent(roomId, room, 'rotation-completed', {
+    action: action,
+    roundIndex: ts.activeRoundIndex,
+    categories: ts.categories.map(category => ({
+      id: category.id,
+      name: category.name,
+      boulders: category.boulders.map(boulder => {
+        const climberId = boulder.hasStarted && !boulder.idle && !boulder.skipNext
+          ? boulder.climbers[boulder.currentClimberIndex] ?? null
+          : null;
+        return { boulderId: boulder.boulderId, climberId: climberId, climber: climberId ? getClimberLabel(category, climberId) : null };
+      })
+    }))
+  });
+
+  for (const category of ts.categories) {
+    const before = snapshot.categories.find(c => c.id === category.id);
+    for (const climberId of category.boulders[0]?.climbers || []) {
+      const wasCompleted = before && category.boulders.every(b => (before.climberProgress[climberId] || []).includes(b.boulderId));
+      if (!wasCompleted && isClimberCompleted(category, climberId)) {
+        const climber = getClimber(category, climberId);
+        dispatchWebhookEvent(roomId, room, 'climber-completed', {
+          categoryId: category.id,
+          categoryName: category.name,
+          climberId: climberId,
+          climber: getClimberLabel(category, climberId),
+          bib: climber?.bib || ''
+        });
+      }
+    }
+  }
+}
+
+// --- Audio cues ---
+// Each room has a cue schedule, saved with the room and sent to clients as audio-sync:
+// { cues: [{ phase, at, tone, clients, say? }], speech: { enabled, lang, rate } }
+// Clients play a cue when their clock shows `at` seconds left in `phase` (or the phase starts, for
+// at: 'start') and they are one of its `clients`. `say` is spoken with speech synthesis when speech
+// is enabled; {remaining}, {phase}, {round} and {climbers} are filled in by the client.
+
+const AUDIO_TONES = ['beep', 'pip', 'buzzer', 'start', 'none'];
+const AUDIO_CLIENTS = ['operator', 'display'];
+const AUDIO_PHASES = ['climb', 'transition'];
+const MAX_AUDIO_CUES = 50;
+const MAX_AUDIO_SAY_LENGTH = 200;
+
+// The cues the operator page has always played, plus announcements that stay silent until speech is on
+function createDefaultAudioSettings() {
+  return {
+    cues: [
+      { phase: 'climb', at: 'start', tone: 'start', clients: ['operator'] },
+      { phase: 'climb', at: 60, tone: 'beep', clients: ['operator'], say: '{remaining} remaining' },
+      ...[5, 4, 3, 2, 1].map(at => ({ phase: 'climb', at: at, tone: 'pip', clients: ['operator'] })),
+      { phase: 'climb', at: 0, tone: 'buzzer', clients: ['operator'] },
+      { phase: 'transition', at: 'start', tone: 'none', clients: ['operator'], say: 'Next climbers. {climbers}' }
+    ],
+    speech: { enabled: false, lang: 'en-US', rate: 1 }
+  };
+}
+
+// Returns an error message, or null for a valid cue schedule
+function validateAudioSettings(audio) {
+  if (typeof audio !== 'object' || audio === null) return 'Expected { cues, speech }';
+  if (!Array.isArray(audio.cues)) return 'cues must be an array';
+  if (audio.cues.length > MAX_AUDIO_CUES) return `At most ${MAX_AUDIO_CUES} cues`;
+  for (const [index, cue] of audio.cues.entries()) {
+    if (typeof cue !== 'object' || cue === null) return `cues[${index}] must be an object`;
+    if (!AUDIO_PHASES.includes(cue.phase)) return `cues[${index}].phase must be one of: ${AUDIO_PHASES.join(', ')}`;
+    if (cue.at !== 'start' && !(Number.isInteger(cue.at) && cue.at >= 0 && cue.at <= 59999)) {
+      return `cues[${index}].at must be "start" or the seconds left (0-59999)`;
+    }
+    if (!AUDIO_TONES.includes(cue.tone)) return `cues[${index}].tone must be one of: ${AUDIO_TONES.join(', ')}`;
+    if (!Array.isArray(cue.clients) || cue.clients.some(client => !AUDIO_CLIENTS.includes(client))) {
+      return `cues[${index}].clients must list some of: ${AUDIO_CLIENTS.join(', ')}`;
+    }
+    if (cue.say !== undefined && (typeof cue.say !== 'string' || cue.say.length > MAX_AUDIO_SAY_LENGTH)) {
+      return `cues[${index}].say must be a string of at most ${MAX_AUDIO_SAY_LENGTH} characters`;
+    }
+  }
+  const speech = audio.speech;
+  if (typeof speech !== 'object' || speech === null) return 'speech must be an object';
+  if (typeof speech.enabled !== 'boolean') return 'speech.enabled must be true or false';
+  if (typeof speech.lang !== 'string' || !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(speech.lang)) {
+    return 'speech.lang must be a language tag such as en-US';
+  }
+  if (typeof speech.rate !== 'number' || speech.rate < 0.5 || speech.rate > 2) return 'speech.rate must be between 0.5 and 2';
+  return null;
+}
+
+// Keep only the known fields, so saved rooms and acks never carry extra payload
+function pickAudioSettings(audio) {
+  return {
+    cues: audio.cues.map(({ phase, at, tone, clients, say }) => ({
+      phase, at, tone, clients: [...new Set(clients)], ...(say ? { say: say } : {})
+    })),
+    speech: { enabled: audio.speech.enabled, lang: audio.speech.lang, rate: audio.speech.rate }
+  };
+}
+
+// --- Read-only feeds ---
+// GET /api/rooms/:roomId/now and the /stream Server-Sent Events feed give lightweight clients
+// (TVs, e-ink signs, kiosks) a compact view of a room instead of the full state
+
+// Current climber on each boulder of each category in the active round
+function getNowCategories(ts) {
+  return ts.categories.map(category => ({
+    id: category.id,
+    name: category.name,
+    boulders: category.boulders.map(boulder => {
+      // Idle boulders are waiting their turn in a one-boulder-at-a-time rotation
+      const climberId = boulder.hasStarted && !boulder.idle && !boulder.skipNext
+        ? boulder.climbers[boulder.currentClimberIndex] ?? null
+        : null;
+      const climber = climberId ? getClimber(category, climberId) : null;
+      return {
+        boulderId: boulder.boulderId,
+        climberId: climberId,
+        climber: climberId ? getClimberLabel(category, climberId) : null,
+        bib: climber?.bib || ''
+      };
+    })
+  }));
+}
+
+function getNowTimer(ts) {
+  return {
+    phase: ts.phase,
+    running: ts.running,
+    remaining: Math.ceil(getRemainingMs(ts) / 1000),
+    phaseEndsAt: ts.phaseEndsAt,
+    serverTime: Date.now()
+  };
+}
+
+function getNowRound(ts) {
+  return { index: ts.activeRoundIndex, name: ts.rounds[ts.activeRoundIndex]?.name || null, count: ts.rounds.length };
+}
+
+function getNowSummary(roomId, ts) {
+  return { roomId: roomId, ...getNowTimer(ts), round: getNowRound(ts), categories: getNowCategories(ts) };
+}
+
+function writeStreamEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Socket.IO broadcast of a sync event, mirrored as a compact event to the room's SSE clients
+// Rotation, round and clock changes also refresh the room's schedule projection
+function emitToRoom(roomId, event, payload) {
+  io.to(roomId).emit(event, payload);
+
+  const room = rooms.get(roomId);
+  if (!room) return;
+  if (event === 'categories-sync' || event === 'categories-patch' || event === 'rounds-sync') {
+    broadcastSchedule(roomId, room);
+  } else if (event === 'timer-sync') {
+    broadcastSchedule(roomId, room, { onlyIfClockChanged: true });
+  }
+
+  if (room.streamClients.size === 0) return;
+  const ts = room.timerState;
+  const streamEvents = {
+    'timer-sync': () => ['timer', getNowTimer(ts)],
+    'categories-sync': () => ['rotation', { categories: getNowCategories(ts) }],
+    'categories-patch': () => ['rotation', { categories: getNowCategories(ts) }],
+    'rounds-sync': () => ['round', getNowRound(ts)]
+  };
+  if (!streamEvents[event]) return;
+
+  const [streamEvent, data] = streamEvents[event]();
+  for (const res of room.streamClients) {
+    writeStreamEvent(res, streamEvent, data);
+  }
+}
+
+const app = express();
+const server = http.createServer(app);
+
+// Socket.IO with CORS configuration for cloud deployment
+const io = socketIo(server, {
+  cors: {
+    origin: '*',
+    methods: ['GET', 'POST']
+  },
+  pingTimeout: 60000,
+  pingInterval: 25000
+});
+
+// Serve static files from the public directory
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Health check endpoint for monitoring services
+app.get('/health', (req, res) => {
+  let totalClients = 0;
+  for (const room of rooms.values()) {
+    totalClients += room.connectedClients;
+  }
+  res.status(200).json({
+    status: 'healthy',
+    uptime: process.uptime(),
+    connectedClients: totalClients,
+    roomCount: rooms.size,
+    storage: storage.name,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// API endpoint to get current timer state for a room
+app.get('/api/state', (req, res) => {
+  const roomId = sanitizeRoomId(req.query.room || DEFAULT_ROOM);
+  const room = findRoom(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  res.json({
+    state: room.timerState,
+    connectedClients: room.connectedClients,
+    roomId: roomId
+  });
+});
+
+// Competition format presets accepted by round-settings-update
+app.get('/api/presets', (req, res) => {
+  res.json({ presets: ROUND_PRESETS });
+});
+
+// Compact summary: phase, remaining seconds and the current climber per boulder per category
+app.get('/api/rooms/:roomId/now', (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const room = findRoom(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  res.json(getNowSummary(roomId, room.timerState));
+});
+
+// Projected start and end times per round and category (see the schedule planner below)
+app.get('/api/rooms/:roomId/schedule', (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const room = findRoom(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  res.json({ roomId: roomId, ...computeSchedule(room) });
+});
+
+// Isolation call-up board: per climber "now", "on deck" or "in N rotations" with estimated times
+app.get('/api/rooms/:roomId/callup', (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const room = findRoom(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  res.json({ roomId: roomId, ...computeCallUp(room) });
+});
+
+// Server-Sent Events: a "snapshot" (same shape as /now) on connect, then "timer", "rotation" and
+// "round" events as the room changes
+const STREAM_HEARTBEAT_MS = 25000;
+
+app.get('/api/rooms/:roomId/stream', (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const room = findRoom(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx-style proxies from buffering the stream
+  });
+  res.write('retry: 3000\n\n');
+  writeStreamEvent(res, 'snapshot', getNowSummary(roomId, room.timerState));
+
+  room.streamClients.add(res);
+  room.lastActivity = Date.now();
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+  console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Stream client connected from ${req.ip} (${room.streamClients.size} total)`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    room.streamClients.delete(res);
+    console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Stream client disconnected (${room.streamClients.size} left)`);
+  });
+});
+
+// API endpoint to list all rooms
+app.get('/api/rooms', (req, res) => {
+  const isAdmin = resolveRole(null, getRequestCredentials(req)) === ROLE_ADMIN;
+  res.json({
+    rooms: getAllRooms(isAdmin)
+  });
+});
+
+// API endpoint to check an admin token (used by the admin dashboard login)
+app.get('/api/admin/session', requireAdmin, (req, res) => {
+  res.json({ role: ROLE_ADMIN });
+});
+
+// API endpoint to create a new room (admin only)
+app.post('/api/rooms', express.json(), requireAdmin, (req, res) => {
+  const { roomId, operatorPin } = req.body;
+  const sanitizedId = sanitizeRoomId(roomId);
+
+  if (!sanitizedId) {
+    return res.status(400).json({ error: 'Invalid room ID' });
+  }
+
+  if (operatorPin !== undefined && operatorPin !== '' && !isValidPin(operatorPin)) {
+    return res.status(400).json({ error: 'Operator PIN must be 4-32 letters or digits' });
+  }
+
+  if (rooms.has(sanitizedId) || storage.hasRoom(sanitizedId)) {
+    return res.status(409).json({ error: 'Room already exists' });
+  }
+
+  const room = getOrCreateRoom(sanitizedId, operatorPin || undefined);
+
+  res.json({
+    success: true,
+    roomId: sanitizedId,
+    operatorPin: room.auth.operatorPin
+  });
+});
+
+// API endpoint to change a room's operator PIN (admin only)
+app.put('/api/rooms/:roomId/pin', express.json(), requireAdmin, (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const room = rooms.get(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const operatorPin = req.body?.operatorPin || generatePin();
+  if (!isValidPin(operatorPin)) {
+    return res.status(400).json({ error: 'Operator PIN must be 4-32 letters or digits' });
+  }
+
+  room.auth.operatorPin = operatorPin;
+  room.auth.judgeSecret = generateJudgeSecret();
+  saveRoomData(roomId, room);
+
+  // Drop operator and judge rights from sockets that authenticated with the old PIN or judge codes
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.roomId === roomId && (socket.role === ROLE_OPERATOR || socket.role === ROLE_JUDGE)) {
+      socket.role = ROLE_DISPLAY;
+      socket.judgeScope = null;
+      socket.emit('auth-info', { role: ROLE_DISPLAY, reason: 'pin-changed' });
+    }
+  }
+
+  console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Operator PIN changed by admin`);
+  res.json({ success: true, roomId: roomId, operatorPin: operatorPin });
+});
+
+// API endpoint to make a room follow another room's clock (admin only)
+app.put('/api/rooms/:roomId/link', express.json(), requireAdmin, (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const masterRoomId = typeof req.body?.masterRoomId === 'string' ? sanitizeRoomId(req.body.masterRoomId) : null;
+  if (!rooms.has(roomId) || !masterRoomId || !rooms.has(masterRoomId)) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const error = linkRoom(roomId, masterRoomId, getRequestActor(req));
+  if (error) {
+    return res.status(409).json({ error: error });
+  }
+  res.json({ success: true, roomId: roomId, ...getLinkInfo(roomId) });
+});
+
+// API endpoint to give a follower room its own clock again (admin only)
+app.delete('/api/rooms/:roomId/link', requireAdmin, (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const room = rooms.get(roomId);
+  if (!room || !room.masterRoomId) {
+    return res.status(404).json({ error: 'Room is not linked' });
+  }
+
+  unlinkRoom(roomId, getRequestActor(req));
+  res.json({ success: true, roomId: roomId });
+});
+
+// API endpoint to delete a room (admin only)
+app.delete('/api/rooms/:roomId', requireAdmin, (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+
+  const room = rooms.get(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  // Disconnect all clients in the room
+  io.to(roomId).emit('room-deleted');
+
+  if (deleteRoom(roomId)) {
+    res.json({ success: true });
+  } else {
+    res.status(400).json({ error: 'Cannot delete this room' });
+  }
+});
+
+// Webhook subscriptions of a room (admin only); secrets are only returned when a webhook is created
+function describeWebhook(webhook) {
+  return { id: webhook.id, url: webhook.url, events: webhook.events, createdAt: webhook.createdAt, lastDelivery: webhook.lastDelivery || null };
+}
+
+app.get('/api/rooms/:roomId/webhooks', requireAdmin, (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const room = rooms.get(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  res.json({ roomId: roomId, events: WEBHOOK_EVENTS, webhooks: room.webhooks.map(describeWebhook) });
+});
+
+// Body: { url, events?, secret? } - events default to all of them, a secret is generated if omitted
+app.post('/api/rooms/:roomId/webhooks', express.json(), requireAdmin, (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const room = rooms.get(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const validationError = validateWebhook(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (room.webhooks.length >= MAX_WEBHOOKS_PER_ROOM) {
+    return res.status(409).json({ error: `A room can have at most ${MAX_WEBHOOKS_PER_ROOM} webhooks` });
+  }
+
+  const webhook = {
+    id: crypto.randomBytes(6).toString('hex'),
+    url: req.body.url,
+    secret: req.body.secret || crypto.randomBytes(24).toString('hex'),
+    events: req.body.events ? [...new Set(req.body.events)] : [...WEBHOOK_EVENTS],
+    createdAt: new Date().toISOString()
+  };
+  room.webhooks.push(webhook);
+  saveRoomData(roomId, room);
+
+  console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Webhook added: ${webhook.url} (${webhook.events.join(', ')})`);
+  res.json({ success: true, webhook: { ...describeWebhook(webhook), secret: webhook.secret } });
+});
+
+app.delete('/api/rooms/:roomId/webhooks/:webhookId', requireAdmin, (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const room = rooms.get(roomId);
+  const index = room ? room.webhooks.findIndex(w => w.id === req.params.webhookId) : -1;
+  if (index < 0) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const [webhook] = room.webhooks.splice(index, 1);
+  saveRoomData(roomId, room);
+  console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Webhook removed: ${webhook.url}`);
+  res.json({ success: true });
+});
+
+// Send a "ping" delivery to check a receiver and its signature verification
+app.post('/api/rooms/:roomId/webhooks/:webhookId/test', requireAdmin, (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const room = rooms.get(roomId);
+  const webhook = room?.webhooks.find(w => w.id === req.params.webhookId);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const delivery = { id: crypto.randomUUID(), event: 'ping', roomId: roomId, occurredAt: new Date().toISOString(), data: {} };
+  deliverWebhook(roomId, room, webhook, delivery);
+  res.json({ success: true, deliveryId: delivery.id });
+});
+
+// API endpoint to import climbers from Excel
+// Excel format: Each sheet = one round. Column headers = category names, rows = climber names
+// ?dryRun=1 returns what the import would do without applying it
+// ?mode=merge updates matching rounds/categories in place instead of replacing every round;
+// narrow it with ?sheet=<name>, ?category=<name> and ?targetRound=<index>
+// ?keepSheetNames=1 names rounds after their sheets instead of "Round N"
+app.post('/api/import-excel', requireOperator, upload.single('excel'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // Get room from query parameter
+    const roomId = sanitizeRoomId(req.query.room || DEFAULT_ROOM);
+    const room = findRoom(roomId);
+    const isTrue = (value) => value === '1' || value === 'true';
+
+    // Optional round layout for every new round: ?boulders=N&maxCategories=M&rotationMode=...
+    const settings = {
+      boulderCount: req.query.boulders !== undefined ? Number(req.query.boulders) : DEFAULT_BOULDER_COUNT,
+      maxCategories: req.query.maxCategories !== undefined ? Number(req.query.maxCategories) : DEFAULT_MAX_CATEGORIES,
+      rotationMode: req.query.rotationMode || ROTATION_CASCADE
+    };
+    const settingsError = validateCount(settings.boulderCount, 'boulders', MAX_BOULDER_COUNT) ||
+      validateCount(settings.maxCategories, 'maxCategories', MAX_CATEGORIES_LIMIT);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+    if (!ROTATION_MODES.includes(settings.rotationMode)) {
+      return res.status(400).json({ error: `rotationMode must be one of: ${ROTATION_MODES.join(', ')}` });
+    }
+
+    const options = {
+      mode: req.query.mode || 'replace',
+      keepSheetNames: isTrue(req.query.keepSheetNames),
+      sheet: req.query.sheet,
+      category: req.query.category,
+      targetRound: req.query.targetRound !== undefined ? Number(req.query.targetRound) : undefined,
+      settings: settings
+    };
+    if (!['replace', 'merge'].includes(options.mode)) {
+      return res.status(400).json({ error: 'mode must be replace or merge' });
+    }
+
+    // Parse Excel file from buffer
+    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
+    const parsed = parseStartListWorkbook(workbook);
+    const ts = room.timerState;
+    const plan = buildImportedRounds(ts, parsed, options);
+    const errors = [...parsed.errors, ...plan.errors];
+
+    const importedCategories = plan.report.flatMap(r => r.categories.filter(c => c.action !== 'remove'));
+    const summary = {
+      roomId: roomId,
+      mode: options.mode,
+      roundsCreated: plan.report.length,
+      categoriesCreated: importedCategories.length,
+      totalClimbers: importedCategories.reduce((sum, c) => sum + c.climberCount, 0),
+      rounds: plan.report,
+      warnings: parsed.warnings
+    };
+
+    if (isTrue(req.query.dryRun)) {
+      return res.json({ dryRun: true, ...summary, errors: errors });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors: errors, warnings: parsed.warnings });
+    }
+
+    // Update room state with the new rounds
+    ts.rounds = plan.rounds;
+    ts.activeRoundIndex = plan.activeRoundIndex;
+    ts.categories = ts.rounds[ts.activeRoundIndex]?.categories || [];
+    // Undo snapshots refer to the start lists from before the import
+    room.undoStack = [];
+    recordEvent(roomId, room, getRequestActor(req), 'import-excel', {
+      mode: options.mode,
+      sheet: options.sheet,
+      category: options.category,
+      rounds: plan.report.map(r => ({ name: r.name, categories: r.categories.map(c => `${c.name} (${c.action})`) })),
+      ...settings
+    });
+    room.lastActivity = Date.now();
+
+    // Save and broadcast to all clients in this room
+    saveRoomData(roomId, room);
+    emitToRoom(roomId, 'rounds-sync', getRoundsSyncPayload(ts));
+    broadcastCategories(roomId);
+    broadcastResults(roomId, room);
+
+    console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Imported ${summary.roundsCreated} rounds with ${summary.categoriesCreated} categories and ${summary.totalClimbers} total climbers from Excel (${options.mode})`);
+
+    res.json({ success: true, ...summary });
+
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error importing Excel:`, error);
+    res.status(500).json({ error: 'Failed to parse Excel file: ' + error.message });
+  }
+});
+
+// API endpoint to review a room's event journal: ?since=<seq> returns only later entries, ?limit=N the last N
+app.get('/api/rooms/:roomId/log', requireOperator, (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const since = parseInt(req.query.since) || 0;
+  const limit = parseInt(req.query.limit) || 0;
+
+  let entries = readJournal(roomId).filter(entry => entry.seq > since);
+  if (limit > 0) {
+    entries = entries.slice(-limit);
+  }
+
+  res.json({
+    roomId: roomId,
+    entries: entries,
+    undoable: rooms.get(roomId)?.undoStack.map(step => ({ seq: step.seq, action: step.action })) || []
+  });
+});
+
+// --- REST control API ---
+// Lets foot pedals, Stream Decks and scripts drive a room without a socket connection.
+// Timer commands take the same params as the timer-command event; the rest mirror their socket events.
+const CONTROL_ACTIONS = {
+  'advance-boulder': (roomId, body, actor) => advanceRoomBoulder(roomId, body.boulderId, actor, body.expectedRevision),
+  'advance-category': (roomId, body, actor) => advanceRoomCategory(roomId, body.categoryId, actor, body.expectedRevision),
+  'switch-round': (roomId, body, actor) => switchRoomRound(roomId, body.roundIndex, actor),
+  'restart-round': (roomId, body, actor) => restartRoomRound(roomId, actor, body.expectedRevision),
+  'schedule-round-start': (roomId, body, actor) => setRoundAutoStart(roomId, body.roundIndex, body.startAt ?? null, actor)
+};
+
+const COMMAND_ERROR_STATUS = {
+  'invalid-payload': 400,
+  'invalid-params': 400,
+  'unknown-command': 404,
+  'not-found': 404,
+  'invalid-state': 409,
+  'conflict': 409,
+  'internal': 500
+};
+
+function getControlState(room) {
+  const ts = room.timerState;
+  return {
+    revision: room.revision,
+    phase: ts.phase,
+    remaining: ts.remaining,
+    running: ts.running,
+    phaseEndsAt: ts.phaseEndsAt,
+    activeRoundIndex: ts.activeRoundIndex,
+    roundName: ts.rounds[ts.activeRoundIndex]?.name || null,
+    categories: ts.categories
+  };
+}
+
+// POST /api/rooms/:roomId/control/<action> with a JSON body, e.g. advance-boulder { "boulderId": 2 }
+app.post('/api/rooms/:roomId/control/:action', express.json(), requireOperator, (req, res) => {
+  const roomId = sanitizeRoomId(req.params.roomId);
+  const action = req.params.action;
+  const body = req.body || {};
+  try {
+    const actor = getRequestActor(req);
+    const error = Object.prototype.hasOwnProperty.call(CONTROL_ACTIONS, action)
+      ? CONTROL_ACTIONS[action](roomId, body, actor)
+      : executeTimerCommand(roomId, { command: action, params: body }, actor);
+
+    if (error) {
+      console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Control "${action}" via API rejected: ${error.code} - ${error.message}`);
+      return res.status(COMMAND_ERROR_STATUS[error.code] || 400).json({ ok: false, error: error });
+    }
+
+    const room = rooms.get(roomId);
+    const ts = room.timerState;
+    console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Control "${action}" via API from ${req.ip}: phase=${ts.phase}, remaining=${ts.remaining}, running=${ts.running}`);
+    res.json({ ok: true, state: getControlState(room) });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] [Room: ${roomId}] Error executing control "${action}":`, error);
+    res.status(500).json({ ok: false, error: commandError('internal', 'Failed to execute command') });
+  }
+});
+
+// API endpoint to get boulder results and rankings for a round (defaults to the active round)
+app.get('/api/results', (req, res) => {
+  const roomId = sanitizeRoomId(req.query.room || DEFAULT_ROOM);
+  const room = findRoom(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  const ts = room.timerState;
+
+  let roundIndex = ts.activeRoundIndex;
+  if (req.query.round !== undefined) {
+    roundIndex = parseInt(req.query.round);
+    if (isNaN(roundIndex) || roundIndex < 0 || roundIndex >= ts.rounds.length) {
+      return res.status(400).json({ error: 'Invalid round index' });
+    }
+  }
+
+  res.json({
+    roomId: roomId,
+    ...getResultsPayload(ts, roundIndex)
+  });
+});
+
+// API endpoint to export start lists and results as XLSX (sheet per round) or CSV (one round)
+// The start-list sheets use the same layout as /api/import-excel, so an export can be re-imported
+app.get('/api/export', (req, res) => {
+  try {
+    const roomId = sanitizeRoomId(req.query.room || DEFAULT_ROOM);
+    const room = findRoom(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    const ts = room.timerState;
+    const format = (req.query.format || 'xlsx').toLowerCase();
+
+    if (!['xlsx', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be xlsx or csv' });
+    }
+    // Categories added by hand before any round exists are exported as one round
+    const rounds = ts.rounds.length > 0 ? ts.rounds : [{ name: 'Round 1', categories: ts.categories }];
+    if (rounds[0].categories.length === 0 && ts.rounds.length === 0) {
+      return res.status(404).json({ error: 'No categories to export' });
+    }
+
+    let roundIndexes = rounds.map((_, index) => index);
+    if (req.query.round !== undefined) {
+      const roundIndex = parseInt(req.query.round);
+      if (isNaN(roundIndex) || roundIndex < 0 || roundIndex >= rounds.length) {
+        return res.status(400).json({ error: 'Invalid round index' });
+      }
+      roundIndexes = [roundIndex];
+    } else if (format === 'csv') {
+      // CSV holds a single table - default to the active round
+      roundIndexes = [ts.activeRoundIndex];
+    }
+
+    const fileBase = `${roomId}-${format === 'csv' ? toSheetName(rounds[roundIndexes[0]].name, roundIndexes[0]) : 'results'}`
+      .replace(/[^a-zA-Z0-9_-]/g, '_');
+
+    if (format === 'csv') {
+      const sheet = XLSX.utils.json_to_sheet(buildResultRows(ts, roundIndexes[0]));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.csv"`);
+      return res.send(XLSX.utils.sheet_to_csv(sheet));
+    }
+
+    const workbook = XLSX.utils.book_new();
+    for (const roundIndex of roundIndexes) {
+      const sheetName = toSheetName(rounds[roundIndex].name, roundIndex);
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(buildStartListRows(rounds[roundIndex])), getUniqueSheetName(workbook, sheetName, roundIndex));
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(buildResultRows(ts, roundIndex)), getUniqueSheetName(workbook, sheetName, roundIndex, RESULTS_SHEET_SUFFIX));
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.xlsx"`);
+    res.send(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+
+    console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Exported ${roundIndexes.length} round(s) as ${format}`);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error exporting results:`, error);
+    res.status(500).json({ error: 'Failed to export results: ' + error.message });
+  }
+});
+
+// Initialize default room on startup
+getOrCreateRoom(DEFAULT_ROOM);
+
+// Round summary for multi-round navigation
+function getRoundsSyncPayload(timerState) {
+  return {
+    rounds: timerState.rounds.map(r => ({ name: r.name, categoryCount: r.categories?.length || 0, autoStartAt: r.autoStartAt || null, ...getRoundSettings(r) })),
+    activeRoundIndex: timerState.activeRoundIndex
+  };
+}
+
+// Helper functions for room timer calculations
+const totalClimb = (timerState) => timerState.climbMin * 60 + timerState.climbSec;
+const totalTrans = (timerState) => timerState.transMin * 60 + timerState.transSec;
+
+// --- Round & Boulder Configuration ---
+// Rounds carry a default boulder count and category limit; each category's boulders array is the source of truth
+
+const DEFAULT_BOULDER_COUNT = 4;
+const MAX_BOULDER_COUNT = 12;
+const DEFAULT_MAX_CATEGORIES = 4;
+const MAX_CATEGORIES_LIMIT = 12;
+
+function createRound(name, settings = {}) {
+  const round = {
+    name: name,
+    boulderCount: settings.boulderCount || DEFAULT_BOULDER_COUNT,
+    maxCategories: settings.maxCategories || DEFAULT_MAX_CATEGORIES,
+    rotationMode: settings.rotationMode || ROTATION_CASCADE,
+    categories: []
+  };
+  if (settings.timing) round.timing = { ...settings.timing };
+  return round;
+}
+
+// Rounds saved before these settings existed fall back to the old fixed layout and cascade rotation
+// timing is null for rounds that use whatever the clock is set to
+function getRoundSettings(round) {
+  return {
+    boulderCount: round?.boulderCount || DEFAULT_BOULDER_COUNT,
+    maxCategories: round?.maxCategories || DEFAULT_MAX_CATEGORIES,
+    rotationMode: round?.rotationMode || ROTATION_CASCADE,
+    timing: round?.timing || null
+  };
+}
+
+// Returns an error message, or null if the value is a valid count
+function validateCount(value, label, max) {
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    return `${label} must be an integer between 1 and ${max}`;
+  }
+  return null;
+}
+
+// --- Round timing ---
+// A round can carry its own climb and transition durations, put on the clock when it becomes active
+
+const TIMING_FIELDS = ['climbMin', 'climbSec', 'transMin', 'transSec'];
+
+// Returns an error message, or null for a valid { climbMin, climbSec, transMin, transSec }
+function validateRoundTiming(timing) {
+  if (typeof timing !== 'object' || timing === null) return 'timing must be an object';
+  for (const field of TIMING_FIELDS) {
+    const max = field.endsWith('Sec') ? 59 : 999;
+    if (!Number.isInteger(timing[field]) || timing[field] < 0 || timing[field] > max) {
+      return `timing.${field} must be an integer between 0 and ${max}`;
+    }
+  }
+  if (totalClimb(timing) === 0) return 'The climb time must be longer than 0';
+  return null;
+}
+
+function pickTiming(source) {
+  return Object.fromEntries(TIMING_FIELDS.map(field => [field, source[field]]));
+}
+
+// Put a round's durations on the room clock; a stopped clock also shows the new climb time
+// Followers keep their master's durations
+function applyRoundTiming(roomId, room, round) {
+  const ts = room.timerState;
+  if (!round?.timing || room.masterRoomId) return;
+  if (TIMING_FIELDS.every(field => ts[field] === round.timing[field])) return;
+
+  Object.assign(ts, pickTiming(round.timing));
+  if (ts.phase === 'stopped') {
+    ts.remaining = totalClimb(ts);
+  }
+  emitToRoom(roomId, 'timer-sync', getClockPayload(ts));
+  io.to(roomId).emit('config-sync', getConfigPayload(ts));
+  syncFollowerClocks(roomId);
+  console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Clock set to the timing of ${round.name}: climb=${round.timing.climbMin}:${String(round.timing.climbSec).padStart(2, '0')}, transition=${round.timing.transMin}:${String(round.timing.transSec).padStart(2, '0')}`);
+}
+
+function getBoulderIds(boulderCount) {
+  return Array.from({ length: boulderCount }, (_, i) => i + 1);
+}
+
+// Fresh boulders for a start list, keeping the boulder IDs of a template category
+function buildBoulders(boulderIds, climbers) {
+  return boulderIds.map(boulderId => ({
+    boulderId: boulderId,
+    climbers: [...climbers],
+    currentClimberIndex: 0,
+    skipNext: false,
+    hasStarted: false
+  }));
+}
+
+// Check the fields of a category-update before they are stored; a new category needs id, name and boulders.
+// Returns an error message, or null. A malformed boulder would otherwise break the rotation and planner
+function validateCategoryFields(fields, isNew) {
+  if (isNew) {
+    if (!Number.isInteger(fields.id) || fields.id < 1) return 'id must be a positive integer';
+    if (fields.name === undefined) return 'name is required';
+    if (fields.boulders === undefined) return 'boulders is required';
+  }
+  if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 100)) {
+    return 'name must be a non-empty string of at most 100 characters';
+  }
+  if (fields.climbers !== undefined && !Array.isArray(fields.climbers)) {
+    return 'climbers must be an array';
+  }
+  if (fields.boulders !== undefined) {
+    if (!Array.isArray(fields.boulders) || fields.boulders.length < 1 || fields.boulders.length > MAX_BOULDER_COUNT) {
+      return `boulders must be an array of 1 to ${MAX_BOULDER_COUNT} boulders`;
+    }
+    const boulderIds = new Set();
+    for (const boulder of fields.boulders) {
+      if (typeof boulder !== 'object' || boulder === null) return 'Each boulder must be an object';
+      if (!Number.isInteger(boulder.boulderId) || boulder.boulderId < 1 || boulderIds.has(boulder.boulderId)) {
+        return 'Each boulder needs a unique positive integer boulderId';
+      }
+      boulderIds.add(boulder.boulderId);
+      if (!Array.isArray(boulder.climbers) || !boulder.climbers.every(id => typeof id === 'string' && id)) {
+        return `Boulder ${boulder.boulderId}: climbers must be an array of climber ids`;
+      }
+      if (!Number.isInteger(boulder.currentClimberIndex) || boulder.currentClimberIndex < 0 || boulder.currentClimberIndex > boulder.climbers.length) {
+        return `Boulder ${boulder.boulderId}: currentClimberIndex must be an integer between 0 and ${boulder.climbers.length}`;
+      }
+      for (const flag of ['skipNext', 'hasStarted', 'idle']) {
+        if (boulder[flag] !== undefined && typeof boulder[flag] !== 'boolean') {
+          return `Boulder ${boulder.boulderId}: ${flag} must be a boolean`;
+        }
+      }
+    }
+  }
+  if (fields.climberProgress !== undefined) {
+    const progress = fields.climberProgress;
+    if (typeof progress !== 'object' || progress === null || Array.isArray(progress)
+      || !Object.values(progress).every(ids => Array.isArray(ids) && ids.every(Number.isInteger))) {
+      return 'climberProgress must map climber ids to arrays of boulder ids';
+    }
+  }
+  return null;
+}
+
+// Add boulders at the end or drop them from the end; the remaining boulders keep their state.
+// Progress and results on dropped boulders are discarded so completion is judged on what's left.
+function resizeCategoryBoulders(category, boulderCount) {
+  const current = category.boulders.length;
+  if (boulderCount > current) {
+    const climbers = category.boulders[0]?.climbers || [];
+    const maxId = category.boulders.reduce((max, b) => Math.max(max, b.boulderId), 0);
+    const newIds = Array.from({ length: boulderCount - current }, (_, i) => maxId + i + 1);
+    category.boulders.push(...buildBoulders(newIds, climbers));
+  } else if (boulderCount < current) {
+    const removedIds = category.boulders.slice(boulderCount).map(b => b.boulderId);
+    category.boulders = category.boulders.slice(0, boulderCount);
+    for (const name of Object.keys(category.climberProgress || {})) {
+      category.climberProgress[name] = category.climberProgress[name].filter(id => !removedIds.includes(id));
+    }
+    for (const name of Object.keys(category.results || {})) {
+      for (const boulderId of removedIds) {
+        delete category.results[name][boulderId];
+      }
+    }
+  }
+}
+
+// --- Climber Records ---
+// category.climbers is the roster: [{ id, bib, firstName, lastName, team, division }]
+// Boulder start lists, climberProgress and results refer to climbers by id, so namesakes never collide
+
+const CLIMBER_FIELDS = ['bib', 'firstName', 'lastName', 'team', 'division'];
+
+function generateClimberId() {
+  return 'c' + crypto.randomBytes(5).toString('hex');
+}
+
+// Ids from generateClimberId (and the operator page's copy of it), as opposed to legacy names
+function isGeneratedClimberId(value) {
+  return /^c[0-9a-f]{10}$/.test(value);
+}
+
+// "Alex de Kim" -> { firstName: 'Alex de', lastName: 'Kim' }
+function splitClimberName(fullName) {
+  const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length <= 1) return { firstName: parts[0] || '', lastName: '' };
+  return { firstName: parts.slice(0, -1).join(' '), lastName: parts[parts.length - 1] };
+}
+
+// Accepts { name } or { firstName, lastName } plus the optional fields; keeps an existing id
+function createClimber(fields) {
+  const names = fields.firstName || fields.lastName
+    ? { firstName: fields.firstName, lastName: fields.lastName }
+    : splitClimberName(fields.name);
+  const climber = { id: typeof fields.id === 'string' && fields.id ? fields.id : generateClimberId() };
+  for (const field of CLIMBER_FIELDS) {
+    const value = field in names ? names[field] : fields[field];
+    climber[field] = value === undefined || value === null ? '' : String(value).trim();
+  }
+  return climber;
+}
+
+function getClimberName(climber) {
+  return [climber.firstName, climber.lastName].filter(Boolean).join(' ');
+}
+
+function getClimber(category, climberId) {
+  return (category.climbers || []).find(c => c.id === climberId) || null;
+}
+
+// Display name for an id, falling back to the id for climbers missing from the roster
+function getClimberLabel(category, climberId) {
+  const climber = getClimber(category, climberId);
+  return climber ? getClimberName(climber) : climberId;
+}
+
+// Find a roster climber from an id or, when unambiguous, a display name
+function findClimberId(category, idOrName) {
+  if (getClimber(category, idOrName)) return idOrName;
+  const matches = (category.climbers || []).filter(c => getClimberName(c) === idOrName);
+  return matches.length === 1 ? matches[0].id : null;
+}
+
+// Categories saved (or sent by clients) before climber records existed list bare names in
+// boulder.climbers and key climberProgress/results by name. This builds the roster and re-keys
+// everything by id in place; categories that already use ids are left as they are.
+// Progress and results of ids no longer on the roster (removed from the start list) are dropped.
+function normalizeCategoryClimbers(category) {
+  category.climbers = (Array.isArray(category.climbers) ? category.climbers : [])
+    .filter(c => c && typeof c === 'object')
+    .map(c => createClimber(c));
+
+  const ids = new Set(category.climbers.map(c => c.id));
+  const idsByName = new Map(); // name -> ids of the climbers with that name, roster ones first
+  // Namesakes are separate climbers: the nth "Alex Kim" of a start list is the nth climber of that name
+  const resolve = (entry, occurrence = 0) => {
+    if (ids.has(entry)) return entry;
+    if (isGeneratedClimberId(entry)) return null;
+    if (!idsByName.has(entry)) {
+      idsByName.set(entry, category.climbers.filter(c => getClimberName(c) === entry).map(c => c.id));
+    }
+    const nameIds = idsByName.get(entry);
+    while (nameIds.length <= occurrence) {
+      const climber = createClimber({ name: entry });
+      category.climbers.push(climber);
+      ids.add(climber.id);
+      nameIds.push(climber.id);
+    }
+    return nameIds[occurrence];
+  };
+
+  for (const boulder of category.boulders || []) {
+    const occurrences = new Map();
+    // An unknown id stays in the start list (shown as the id) so the rotation order is kept
+    boulder.climbers = (boulder.climbers || []).map(entry => {
+      const occurrence = occurrences.get(entry) || 0;
+      occurrences.set(entry, occurrence + 1);
+      return resolve(entry, occurrence) ?? entry;
+    });
+  }
+  const startList = new Set((category.boulders || []).flatMap(b => b.climbers));
+  for (const key of ['climberProgress', 'results']) {
+    if (!category[key]) continue;
+    const rekeyed = {};
+    for (const [entry, value] of Object.entries(category[key])) {
+      const climberId = resolve(entry) ?? (startList.has(entry) ? entry : null);
+      if (climberId) rekeyed[climberId] = value;
+    }
+    category[key] = rekeyed;
+  }
+  return category;
+}
+
+// --- Climber Completion Tracking Helpers ---
+
+// Initialize climberProgress if it doesn't exist
+function ensureClimberProgress(category) {
+  if (!category.climberProgress) {
+    category.climberProgress = {};
+  }
+}
+
+// Record that a climber has climbed on a specific boulder
+function recordClimberProgress(category, climberId, boulderId) {
+  ensureClimberProgress(category);
+  if (!category.climberProgress[climberId]) {
+    category.climberProgress[climberId] = [];
+  }
+  if (!category.climberProgress[climberId].includes(boulderId)) {
+    category.climberProgress[climberId].push(boulderId);
+    category.climberProgress[climberId].sort((a, b) => a - b);
+  }
+}
+
+// Check if a climber has completed every boulder of the category
+function isClimberCompleted(category, climberId) {
+  ensureClimberProgress(category);
+  const progress = category.climberProgress[climberId] || [];
+  return category.boulders.length > 0 && category.boulders.every(b => progress.includes(b.boulderId));
+}
+
+// Get count of active (non-completed) climbers in a category
+function getActiveClimberCount(category) {
+  const climbers = category.boulders[0]?.climbers || [];
+  return climbers.filter(id => !isClimberCompleted(category, id)).length;
+}
+
+// Find next non-completed climber index, starting from current position
+function getNextActiveClimberIndex(boulder, category, startIndex) {
+  const climbers = boulder.climbers || [];
+  if (climbers.length === 0) return 0;
+
+  // Try each position starting from startIndex
+  for (let i = 0; i < climbers.length; i++) {
+    const index = (startIndex + i) % climbers.length;
+    if (!isClimberCompleted(category, climbers[index])) {
+      return index;
+    }
+  }
+  // All climbers completed - return startIndex (will show as all done)
+  return startIndex;
+}
+
+// Check if a boulder can start (previous boulder must have advanced at least twice)
+// This ensures climbers get one full climb phase of rest between boulders
+function canBoulderStart(category, boulderIndex) {
+  if (boulderIndex === 0) return true; // B1 can always start
+
+  const prevBoulder = category.boulders[boulderIndex - 1];
+  // Previous boulder must be started AND have advanced at least twice
+  // (climber needs 1 round climbing + 1 round resting before next boulder)
+  return prevBoulder && prevBoulder.hasStarted && prevBoulder.currentClimberIndex > 1;
+}
+
+// Advance a single boulder, recording progress and skipping completed climbers
+// boulderIndex is optional - if provided, checks cascading start rules
+// Returns true if this boulder had a skip that should flow to next boulder
+function advanceBoulder(boulder, category, boulderIndex = null) {
+  if (!boulder.climbers || boulder.climbers.length === 0) return false;
+
+  // Check if this boulder has a pending skip (empty slot flowing through)
+  if (boulder.skipNext) {
+    boulder.skipNext = false;
+    // Pass skip to next boulder if it exists
+    if (boulderIndex !== null && boulderIndex < category.boulders.length - 1) {
+      category.boulders[boulderIndex + 1].skipNext = true;
+    }
+    // Don't advance climber index - no one climbed, just showing empty
+    return true;
+  }
+
+  // If boulder hasn't started yet, check if it can start
+  if (!boulder.hasStarted) {
+    // If boulderIndex provided, check cascading rules
+    if (boulderIndex !== null && !canBoulderStart(category, boulderIndex)) {
+      return false; // Can't start yet - previous boulder hasn't advanced
+    }
+
+    boulder.hasStarted = true;
+    // Record that first climber is now on this boulder
+    const firstClimber = boulder.climbers[boulder.currentClimberIndex];
+    if (firstClimber) {
+      recordClimberProgress(category, firstClimber, boulder.boulderId);
+    }
+    return false;
+  }
+
+  // Record that current climber has climbed this boulder
+  const currentClimber = boulder.climbers[boulder.currentClimberIndex];
+  if (currentClimber) {
+    recordClimberProgress(category, currentClimber, boulder.boulderId);
+  }
+
+  // Find next active (non-completed) climber
+  const nextIndex = (boulder.currentClimberIndex + 1) % boulder.climbers.length;
+  boulder.currentClimberIndex = getNextActiveClimberIndex(boulder, category, nextIndex);
+  return false;
+}
+
+// --- Rotation Engine ---
+// cascade: every boulder runs at once and climbers rest one climb period between boulders (advanceBoulder above)
+// climber-by-climber: one climber works through all boulders before the next climber starts
+// boulder-by-boulder: every climber finishes B1 before anyone moves on to B2
+// In the last two only one boulder per category is live; the others are marked idle
+
+const ROTATION_CASCADE = 'cascade';
+const ROTATION_CLIMBER_BY_CLIMBER = 'climber-by-climber';
+const ROTATION_BOULDER_BY_BOULDER = 'boulder-by-boulder';
+const ROTATION_MODES = [ROTATION_CASCADE, ROTATION_CLIMBER_BY_CLIMBER, ROTATION_BOULDER_BY_BOULDER];
+
+// Competition formats (USA Climbing Annex C): timing, boulder count and rotation in one step
+const ROUND_PRESETS = [
+  {
+    id: 'youth-qualifiers',
+    name: 'Youth qualifiers',
+    description: '5 boulders, 4 min rotations with a 15 s changeover, cascade',
+    boulderCount: 5,
+    rotationMode: ROTATION_CASCADE,
+    timing: { climbMin: 4, climbSec: 0, transMin: 0, transSec: 15 }
+  },
+  {
+    id: 'youth-finals',
+    name: 'Youth finals',
+    description: '4 boulders, 4 min rotations with a 15 s changeover, cascade',
+    boulderCount: 4,
+    rotationMode: ROTATION_CASCADE,
+    timing: { climbMin: 4, climbSec: 0, transMin: 0, transSec: 15 }
+  },
+  {
+    id: 'elite-qualifiers',
+    name: 'Elite qualifiers',
+    description: '5 boulders, 5 min rotations with a 15 s changeover, cascade',
+    boulderCount: 5,
+    rotationMode: ROTATION_CASCADE,
+    timing: { climbMin: 5, climbSec: 0, transMin: 0, transSec: 15 }
+  },
+  {
+    id: 'elite-semifinals',
+    name: 'Elite semi-finals',
+    description: '4 boulders, 5 min rotations with a 15 s changeover, cascade',
+    boulderCount: 4,
+    rotationMode: ROTATION_CASCADE,
+    timing: { climbMin: 5, climbSec: 0, transMin: 0, transSec: 15 }
+  },
+  {
+    id: 'open-finals',
+    name: 'Open finals',
+    description: '4 boulders, every finalist on B1 before B2, 4 min per climber with a 15 s changeover',
+    boulderCount: 4,
+    rotationMode: ROTATION_BOULDER_BY_BOULDER,
+    timing: { climbMin: 4, climbSec: 0, transMin: 0, transSec: 15 }
+  },
+  {
+    id: 'on-sight-transition',
+    name: 'On-sight with transition',
+    description: '4 boulders, 4 min rotations with a 1 min transition to clear the field, cascade',
+    boulderCount: 4,
+    rotationMode: ROTATION_CASCADE,
+    timing: { climbMin: 4, climbSec: 0, transMin: 1, transSec: 0 }
+  }
+];
+
+function getRoundPreset(presetId) {
+  return ROUND_PRESETS.find(preset => preset.id === presetId) || null;
+}
+
+function getRotationMode(timerState) {
+  return getRoundSettings(timerState.rounds[timerState.activeRoundIndex]).rotationMode;
+}
+
+// Every [boulderIndex, climberIndex] turn of a sequential rotation, in climbing order
+function getRotationTurns(category, mode) {
+  const climberCount = category.boulders[0]?.climbers?.length || 0;
+  const turns = [];
+  if (mode === ROTATION_CLIMBER_BY_CLIMBER) {
+    for (let c = 0; c < climberCount; c++) {
+      for (let b = 0; b < category.boulders.length; b++) turns.push([b, c]);
+    }
+  } else {
+    for (let b = 0; b < category.boulders.length; b++) {
+      for (let c = 0; c < climberCount; c++) turns.push([b, c]);
+    }
+  }
+  return turns;
+}
+
+function getLiveBoulderIndex(category) {
+  return category.boulders.findIndex(b => b.hasStarted && !b.idle);
+}
+
+// Move a sequential rotation on to the next turn a climber hasn't had yet
+// Like the cascade, a climber's progress is recorded as soon as they step up to the boulder
+function advanceSequentialRotation(category, mode) {
+  const liveIndex = getLiveBoulderIndex(category);
+  if (liveIndex < 0 && category.boulders.some(b => b.hasStarted)) return; // rotation finished
+
+  const turns = getRotationTurns(category, mode);
+  let position = -1;
+  if (liveIndex >= 0) {
+    const live = category.boulders[liveIndex];
+    position = turns.findIndex(([b, c]) => b === liveIndex && c === live.currentClimberIndex);
+  }
+
+  const next = turns.slice(position + 1).find(([b, c]) => {
+    const boulder = category.boulders[b];
+    const progress = category.climberProgress?.[boulder.climbers[c]] || [];
+    return !progress.includes(boulder.boulderId);
+  });
+
+  category.boulders.forEach((boulder, index) => {
+    boulder.skipNext = false;
+    if (next && index === next[0]) {
+      boulder.hasStarted = true;
+      boulder.idle = false;
+      boulder.currentClimberIndex = next[1];
+      recordClimberProgress(category, boulder.climbers[next[1]], boulder.boulderId);
+    } else {
+      // Boulders keep hasStarted, so a finished rotation isn't started again
+      boulder.idle = true;
+    }
+  });
+}
+
+// One rotation step for a whole category
+function advanceCategory(category, mode) {
+  if (mode === ROTATION_CASCADE) {
+    // Process boulders in order (B1 first) to correctly handle cascading starts
+    for (let i = 0; i < category.boulders.length; i++) {
+      advanceBoulder(category.boulders[i], category, i);
+    }
+  } else {
+    advanceSequentialRotation(category, mode);
+  }
+}
+
+// Advance a single boulder of a category; in sequential modes only the live boulder moves the rotation
+function advanceCategoryBoulder(category, boulderIndex, mode) {
+  if (mode === ROTATION_CASCADE) {
+    advanceBoulder(category.boulders[boulderIndex], category, boulderIndex);
+    return;
+  }
+  const liveIndex = getLiveBoulderIndex(category);
+  const notStarted = !category.boulders.some(b => b.hasStarted);
+  if (liveIndex === boulderIndex || notStarted) {
+    advanceSequentialRotation(category, mode);
+  }
+}
+
+// A no-show on a boulder: the cascade holds the climber and sends an empty slot down the line,
+// sequential modes forfeit the turn and move straight on to the next one
+// Returns false if there was nothing to skip
+function skipBoulderClimber(category, boulderIndex, mode) {
+  const boulder = category.boulders[boulderIndex];
+  if (!boulder || !boulder.hasStarted) return false;
+
+  if (mode === ROTATION_CASCADE) {
+    if (boulderIndex < category.boulders.length - 1) {
+      category.boulders[boulderIndex + 1].skipNext = true;
+    }
+    return true;
+  }
+  if (getLiveBoulderIndex(category) !== boulderIndex) return false;
+  advanceSequentialRotation(category, mode);
+  return true;
+}
+
+// Auto-advance all non-held climbers (called when climb phase ends)
+function advanceNonHeldClimbers(timerState) {
+  const mode = getRotationMode(timerState);
+  timerState.categories.forEach(category => advanceCategory(category, mode));
+}
+
+// --- Boulder Scoring (USA Climbing On-sight & Flash, Annex C §5 and §7) ---
+// Results live on the category as results[climberId][boulderId] = { attempts, lowZone, zone, top },
+// where lowZone/zone/top hold the attempt number on which it was awarded (or null)
+// Points are kept in tenths so the 0.1 deductions stay exact
+
+const POINTS_TOP = 250;
+const POINTS_ZONE = 100;
+const POINTS_LOW_ZONE = 50;
+const MAX_ATTEMPTS = 999;
+
+function ensureCategoryResults(category) {
+  if (!category.results) {
+    category.results = {};
+  }
+}
+
+function emptyBoulderResult() {
+  return { attempts: 0, lowZone: null, zone: null, top: null };
+}
+
+function getBoulderResult(category, climberId, boulderId) {
+  return category.results?.[climberId]?.[boulderId] || emptyBoulderResult();
+}
+
+// Score for one boulder: the best of top/zone/low zone, less 0.1 per attempt before it, never negative
+function scoreBoulderResult(result) {
+  const candidates = [0];
+  if (result.top) candidates.push(POINTS_TOP - (result.top - 1));
+  if (result.zone) candidates.push(POINTS_ZONE - (result.zone - 1));
+  if (result.lowZone) candidates.push(POINTS_LOW_ZONE - (result.lowZone - 1));
+  return Math.max(...candidates);
+}
+
+// Check a full boulder result; returns an error message or null
+function validateBoulderResult(result) {
+  const { attempts, lowZone, zone, top } = result;
+  if (!Number.isInteger(attempts) || attempts < 0 || attempts > MAX_ATTEMPTS) {
+    return 'attempts must be an integer between 0 and 999';
+  }
+  for (const [key, value] of Object.entries({ lowZone, zone, top })) {
+    if (value === null) continue;
+    if (!Number.isInteger(value) || value < 1 || value > attempts) {
+      return `${key} must be null or an attempt number between 1 and attempts`;
+    }
+  }
+  // A top implies the zone(s) were reached on or before that attempt
+  if (top !== null && zone !== null && zone > top) return 'zone cannot come after top';
+  if (zone !== null && lowZone !== null && lowZone > zone) return 'lowZone cannot come after zone';
+  return null;
+}
+
+// Replace a climber's result on a boulder
+function setBoulderResult(category, climberId, boulderId, result) {
+  ensureCategoryResults(category);
+  if (!category.results[climberId]) {
+    category.results[climberId] = {};
+  }
+  category.results[climberId][boulderId] = {
+    attempts: result.attempts,
+    lowZone: result.lowZone,
+    zone: result.zone,
+    top: result.top
+  };
+}
+
+// Log one more attempt; outcome is the best hold reached on it ('none', 'low-zone', 'zone' or 'top')
+// Reaching a higher hold also awards the lower ones on the same attempt if they weren't awarded yet
+function recordAttempt(category, climberId, boulderId, outcome) {
+  const result = { ...getBoulderResult(category, climberId, boulderId) };
+  if (result.top) return 'Climber already topped this boulder';
+  if (result.attempts >= MAX_ATTEMPTS) return 'Too many attempts';
+
+  result.attempts++;
+  const attempt = result.attempts;
+  if (outcome === 'top') {
+    result.top = attempt;
+  }
+  if ((outcome === 'top' || outcome === 'zone') && !result.zone) {
+    result.zone = attempt;
+  }
+  if (['top', 'zone', 'low-zone'].includes(outcome) && !result.lowZone) {
+    result.lowZone = attempt;
+  }
+  setBoulderResult(category, climberId, boulderId, result);
+  return null;
+}
+
+// Build one climber's totals across all boulders of a category
+function summarizeClimberResults(category, climberId) {
+  const climber = getClimber(category, climberId);
+  const summary = {
+    climberId: climberId,
+    climber: getClimberLabel(category, climberId),
+    bib: climber?.bib || '',
+    team: climber?.team || '',
+    division: climber?.division || '',
+    points: 0,
+    tops: 0,
+    zones: 0,
+    lowZones: 0,
+    topAttempts: 0,
+    zoneAttempts: 0,
+    attempts: 0,
+    boulders: {}
+  };
+  for (const boulder of category.boulders) {
+    const result = getBoulderResult(category, climberId, boulder.boulderId);
+    const tenths = scoreBoulderResult(result);
+    summary.points += tenths;
+    summary.attempts += result.attempts;
+    if (result.top) { summary.tops++; summary.topAttempts += result.top; }
+    if (result.zone) { summary.zones++; summary.zoneAttempts += result.zone; }
+    if (result.lowZone) summary.lowZones++;
+    summary.boulders[boulder.boulderId] = { ...result, points: tenths / 10 };
+  }
+  return summary;
+}
+
+// Rank a category: descending points, ties broken by countback to the previous round's ranking
+// Climbers without an attempt on the first boulder are unranked (DNS)
+// previousRank(summary) returns the climber's rank in the previous round, if they had one
+function rankCategory(category, previousRank = null) {
+  const climbers = category.boulders[0]?.climbers || [];
+  const firstBoulderId = category.boulders[0]?.boulderId;
+
+  const ranked = [];
+  const unranked = [];
+  climbers.forEach((climberId, startOrder) => {
+    const summary = summarizeClimberResults(category, climberId);
+    summary.startOrder = startOrder + 1;
+    if (getBoulderResult(category, climberId, firstBoulderId).attempts === 0) {
+      summary.status = 'dns';
+      summary.rank = null;
+      unranked.push(summary);
+    } else {
+      summary.status = 'ranked';
+      ranked.push(summary);
+    }
+  });
+
+  // Climbers without a previous-round rank sort after those with one (and tie with each other)
+  const countback = (summary) => previousRank?.(summary) ?? Number.MAX_SAFE_INTEGER;
+  const compare = (a, b) => (b.points - a.points) || (countback(a) - countback(b));
+
+  ranked.sort((a, b) => compare(a, b) || (a.startOrder - b.startOrder));
+  ranked.forEach((summary, index) => {
+    const prev = ranked[index - 1];
+    summary.rank = prev && compare(prev, summary) === 0 ? prev.rank : index + 1;
+  });
+
+  return [...ranked, ...unranked].map(summary => ({ ...summary, points: summary.points / 10 }));
+}
+
+// Look up a climber's previous-round rank by id (qualified climbers keep theirs), then bib, then name
+// (rounds imported from separate sheets have separate ids)
+function buildPreviousRankLookup(previousRanking) {
+  const ranked = previousRanking.filter(r => r.rank !== null);
+  const byId = new Map(ranked.map(r => [r.climberId, r.rank]));
+  const byBib = new Map(ranked.filter(r => r.bib).map(r => [r.bib, r.rank]));
+  const byName = new Map(ranked.map(r => [r.climber, r.rank]));
+  return (summary) => byId.get(summary.climberId) ?? (summary.bib ? byBib.get(summary.bib) : undefined) ?? byName.get(summary.climber);
+}
+
+// Rankings for every category of a round, with countback to the same-named category in the round before
+function computeRoundResults(timerState, roundIndex) {
+  const round = timerState.rounds[roundIndex];
+  const categories = round ? round.categories : timerState.categories;
+  const previousRound = roundIndex > 0 ? timerState.rounds[roundIndex - 1] : null;
+
+  return categories.map(category => {
+    let previousRank = null;
+    const previousCategory = previousRound?.categories?.find(c => c.name === category.name);
+    if (previousCategory) {
+      const previousRanking = computeRoundResults(timerState, roundIndex - 1)
+        .find(r => r.categoryId === previousCategory.id)?.rankings || [];
+      previousRank = buildPreviousRankLookup(previousRanking);
+    }
+    return {
+      categoryId: category.id,
+      categoryName: category.name,
+      boulderIds: category.boulders.map(b => b.boulderId),
+      rankings: rankCategory(category, previousRank)
+    };
+  });
+}
+
+// Find the category, boulder and climber a scoring event refers to
+// The climber is given as climberId (or, for older clients, an unambiguous display name in climber)
+function resolveScoringTarget(ts, data) {
+  if (typeof data !== 'object' || data === null) return { error: 'Expected an object' };
+  const category = ts.categories.find(c => c.id === data.categoryId);
+  if (!category) return { error: 'Category not found' };
+  const boulder = category.boulders.find(b => b.boulderId === data.boulderId);
+  if (!boulder) return { error: 'Boulder not found' };
+  const climberId = findClimberId(category, data.climberId ?? data.climber);
+  if (!climberId || !(boulder.climbers || []).includes(climberId)) return { error: 'Climber not found in this category' };
+  return { category, boulder, climberId };
+}
+
+function getResultsPayload(timerState, roundIndex = timerState.activeRoundIndex) {
+  return {
+    roundIndex: roundIndex,
+    roundName: timerState.rounds[roundIndex]?.name || null,
+    categories: computeRoundResults(timerState, roundIndex)
+  };
+}
+
+function broadcastResults(roomId, room) {
+  io.to(roomId).emit('results-sync', getResultsPayload(room.timerState));
+}
+
+// --- Qualification ---
+// Builds a category in a later round from the top-N climbers of a category in an earlier round
+
+// Next free category ID across all rounds of a room
+function getNextCategoryId(timerState) {
+  let maxId = 0;
+  for (const round of timerState.rounds) {
+    for (const category of round.categories || []) {
+      maxId = Math.max(maxId, category.id || 0);
+    }
+  }
+  return maxId + 1;
+}
+
+// Options: { categoryId, fromRoundIndex, toRoundIndex, cutoff, manualOrder, force }
+// Qualifiers start in reverse ranking order (best climber last); climbers tied on the cutoff all qualify
+// Without any scores, manualOrder (climber ids or names, in start order) is used instead
+// Qualified climbers keep their climber record and id
+// Returns { error } or { category, roundIndex, climbers } with climbers as ids
+function qualifyClimbers(timerState, options) {
+  const fromRoundIndex = options.fromRoundIndex ?? timerState.activeRoundIndex;
+  const fromRound = timerState.rounds[fromRoundIndex];
+  if (!fromRound) return { error: commandError('invalid-params', 'Source round not found') };
+
+  const sourceCategory = fromRound.categories.find(c => c.id === options.categoryId);
+  if (!sourceCategory) return { error: commandError('invalid-params', 'Category not found in source round') };
+
+  const toRoundIndex = options.toRoundIndex ?? fromRoundIndex + 1;
+  if (!Number.isInteger(toRoundIndex) || toRoundIndex <= fromRoundIndex || toRoundIndex > timerState.rounds.length) {
+    return { error: commandError('invalid-params', 'Target round must be a later round (or the next new one)') };
+  }
+
+  const rankings = computeRoundResults(timerState, fromRoundIndex)
+    .find(r => r.categoryId === sourceCategory.id).rankings;
+  const ranked = rankings.filter(r => r.status === 'ranked');
+
+  let climbers;
+  if (ranked.length > 0) {
+    if (!Number.isInteger(options.cutoff) || options.cutoff < 1) {
+      return { error: commandError('invalid-params', 'cutoff must be a positive integer') };
+    }
+    climbers = ranked.filter(r => r.rank <= options.cutoff).map(r => r.climberId).reverse();
+  } else {
+    if (!Array.isArray(options.manualOrder) || options.manualOrder.length === 0) {
+      return { error: commandError('invalid-params', 'No scores yet - a manual start order is required') };
+    }
+    const known = new Set(sourceCategory.boulders[0]?.climbers || []);
+    const resolved = options.manualOrder.map(entry => findClimberId(sourceCategory, entry));
+    const unknown = options.manualOrder.filter((entry, index) => !known.has(resolved[index]));
+    if (unknown.length > 0) {
+      return { error: commandError('invalid-params', `Not in the source category (or ambiguous): ${unknown.join(', ')}`) };
+    }
+    climbers = [...new Set(resolved)];
+  }
+
+  // Only roster climbers can be copied into the next round
+  const missing = climbers.filter(id => !getClimber(sourceCategory, id));
+  if (missing.length > 0) {
+    return { error: commandError('invalid-state', `Not on the roster of "${sourceCategory.name}": ${missing.join(', ')}`) };
+  }
+
+  // Create the next round if qualifying into a new one
+  if (toRoundIndex === timerState.rounds.length) {
+    timerState.rounds.push(createRound(`Round ${toRoundIndex + 1}`, getRoundSettings(timerState.rounds[fromRoundIndex])));
+  }
+  const toRound = timerState.rounds[toRoundIndex];
+
+  const toSettings = getRoundSettings(toRound);
+
+  const existingIndex = toRound.categories.findIndex(c => c.name === sourceCategory.name);
+  const existing = toRound.categories[existingIndex];
+  if (existing && existing.boulders.some(b => b.hasStarted) && !options.force) {
+    return { error: commandError('invalid-state', `"${existing.name}" has already started in ${toRound.name}`) };
+  }
+  if (!existing && toRound.categories.length >= toSettings.maxCategories) {
+    return { error: commandError('invalid-state', `${toRound.name} already has the maximum of ${toSettings.maxCategories} categories`) };
+  }
+
+  const category = {
+    id: existing ? existing.id : getNextCategoryId(timerState),
+    name: sourceCategory.name,
+    climbers: climbers.map(id => ({ ...getClimber(sourceCategory, id) })),
+    boulders: buildBoulders(getBoulderIds(toSettings.boulderCount), climbers),
+    climberProgress: {},
+    results: {}
+  };
+  if (existing) {
+    toRound.categories[existingIndex] = category;
+  } else {
+    toRound.categories.push(category);
+  }
+
+  return { category, roundIndex: toRoundIndex, climbers };
+}
+
+// --- Excel Import ---
+// Parsing never touches room state; buildImportedRounds works on a copy of the rounds,
+// so a dry run reports exactly what applying the import would do
+
+// Optional columns to the right of a category column describe its climbers. With a Last Name
+// column, the category column holds first names; otherwise it holds full names
+const IMPORT_FIELD_COLUMNS = {
+  'bib': 'bib',
+  'last name': 'lastName',
+  'team': 'team',
+  'club': 'team',
+  'division': 'division'
+};
+
+// Returns { sheets: [{ sheetName, categories: [{ name, column, climbers, duplicates }] }], warnings, errors }
+// where climbers are climber fields without ids: { name, firstName?, lastName?, bib, team, division }
+function parseStartListWorkbook(workbook) {
+  const sheets = [];
+  const warnings = [];
+  const errors = [];
+
+  for (const sheetName of workbook.SheetNames) {
+    // Result sheets written by /api/export are not start lists
+    if (sheetName.endsWith(RESULTS_SHEET_SUFFIX)) {
+      continue;
+    }
+
+    // Convert to JSON with headers as first row
+    const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 });
+    if (data.length < 2) {
+      warnings.push(`Sheet "${sheetName}" is empty and was skipped`);
+      continue;
+    }
+
+    const headerRow = data[0] || [];
+    const columnCount = Math.max(...data.map(row => row.length));
+    const cell = (row, col) => {
+      const value = data[row][col];
+      return value !== undefined && value !== null ? String(value).trim() : '';
+    };
+    const categories = [];
+    let current = null;
+
+    for (let col = 0; col < columnCount; col++) {
+      const name = headerRow[col] !== undefined ? String(headerRow[col]).trim() : '';
+      const field = IMPORT_FIELD_COLUMNS[name.toLowerCase()];
+
+      if (field) {
+        if (!current) {
+          warnings.push(`Sheet "${sheetName}": "${name}" column ${col + 1} has no category column to its left and was skipped`);
+        } else {
+          current.fieldColumns[field] = col;
+        }
+        continue;
+      }
+      if (!name) {
+        if (data.slice(1).some((_, rowIndex) => cell(rowIndex + 1, col))) {
+          warnings.push(`Sheet "${sheetName}": column ${col + 1} has climber names but no category header and was skipped`);
+        }
+        current = null;
+        continue;
+      }
+      if (categories.some(c => c.name === name)) {
+        warnings.push(`Sheet "${sheetName}": category "${name}" appears in more than one column`);
+      }
+      current = { name, column: col + 1, fieldColumns: {} };
+      categories.push(current);
+    }
+
+    for (const category of categories) {
+      const col = category.column - 1;
+      category.climbers = [];
+      for (let rowIndex = 1; rowIndex < data.length; rowIndex++) {
+        if (!cell(rowIndex, col)) continue;
+        const climber = {};
+        for (const [field, fieldCol] of Object.entries(category.fieldColumns)) {
+          climber[field] = cell(rowIndex, fieldCol);
+        }
+        if ('lastName' in category.fieldColumns) {
+          climber.firstName = cell(rowIndex, col);
+        }
+        climber.name = [climber.firstName ?? cell(rowIndex, col), climber.lastName].filter(Boolean).join(' ');
+        category.climbers.push(climber);
+      }
+      delete category.fieldColumns;
+
+      if (category.climbers.length === 0) {
+        warnings.push(`Sheet "${sheetName}": category "${category.name}" has no climbers`);
+      }
+      const names = category.climbers.map(c => c.name);
+      const bibs = category.climbers.map(c => c.bib).filter(Boolean);
+      category.duplicates = [...new Set(names.filter((name, index) => names.indexOf(name) !== index))];
+      const duplicateBibs = [...new Set(bibs.filter((bib, index) => bibs.indexOf(bib) !== index))];
+      if (category.duplicates.length > 0) {
+        warnings.push(`Sheet "${sheetName}": "${category.name}" lists ${category.duplicates.join(', ')} more than once`);
+      }
+      if (duplicateBibs.length > 0) {
+        warnings.push(`Sheet "${sheetName}": "${category.name}" uses bib ${duplicateBibs.join(', ')} more than once`);
+      }
+    }
+
+    if (categories.length === 0) {
+      warnings.push(`Sheet "${sheetName}" has no category headers and was skipped`);
+      continue;
+    }
+
+    const seen = new Map();
+    for (const category of categories) {
+      for (const { name } of category.climbers) {
+        if (seen.has(name) && seen.get(name) !== category.name) {
+          warnings.push(`Sheet "${sheetName}": ${name} is listed in both "${seen.get(name)}" and "${category.name}"`);
+        }
+        seen.set(name, category.name);
+      }
+    }
+
+    sheets.push({ sheetName, categories });
+  }
+
+  if (sheets.length === 0) {
+    errors.push('No valid sheets found. Each sheet must have headers and at least one climber.');
+  }
+  return { sheets, warnings, errors };
+}
+
+// New start list for a category that may already be running. Incoming climbers are matched to
+// the roster by bib, or by name when either side has no bib, and keep their id, progress and
+// results; those of climbers no longer listed are dropped. Each boulder stays on its current
+// climber (or the next one still listed)
+function mergeCategoryClimbers(category, incoming) {
+  const previous = category.boulders[0]?.climbers || [];
+  const unmatched = [...(category.climbers || [])];
+  const climbers = incoming.map(fields => {
+    const index = unmatched.findIndex(c => (c.bib && fields.bib)
+      ? c.bib === fields.bib
+      : getClimberName(c) === fields.name);
+    const existing = index >= 0 ? unmatched.splice(index, 1)[0] : null;
+    return createClimber({ ...fields, id: existing?.id });
+  });
+  const ids = climbers.map(c => c.id);
+  const listed = new Set(ids);
+
+  for (const boulder of category.boulders) {
+    const oldList = boulder.climbers || [];
+    let currentClimberIndex = 0;
+    for (let i = 0; i < oldList.length; i++) {
+      const id = oldList[((boulder.currentClimberIndex || 0) + i) % oldList.length];
+      if (listed.has(id)) {
+        currentClimberIndex = ids.indexOf(id);
+        break;
+      }
+    }
+    boulder.climbers = [...ids];
+    boulder.currentClimberIndex = currentClimberIndex;
+    if (ids.length === 0) {
+      boulder.hasStarted = false;
+      boulder.skipNext = false;
+    }
+  }
+
+  for (const key of ['climberProgress', 'results']) {
+    for (const id of Object.keys(category[key] || {})) {
+      if (!listed.has(id)) {
+        delete category[key][id];
+      }
+    }
+  }
+  const removed = (category.climbers || []).filter(c => previous.includes(c.id) && !listed.has(c.id));
+  category.climbers = climbers;
+
+  return {
+    added: climbers.filter(c => !previous.includes(c.id)).map(getClimberName),
+    removed: removed.map(getClimberName)
+  };
+}
+
+// Options: { mode: 'replace' | 'merge', keepSheetNames, sheet, category, targetRound, settings }
+// Returns { rounds, activeRoundIndex, report, errors }; report lists per round what happens to each category
+function buildImportedRounds(timerState, parsed, options) {
+  const errors = [];
+  const report = [];
+  const roundName = (sheet) => options.keepSheetNames
+    ? toSheetName(sheet.sheetName, parsed.sheets.indexOf(sheet))
+    : `Round ${parsed.sheets.indexOf(sheet) + 1}`;
+  const newCategory = (id, source, boulderCount) => {
+    const climbers = source.climbers.map(fields => createClimber(fields));
+    return {
+      id: id,
+      name: source.name,
+      climbers: climbers,
+      boulders: buildBoulders(getBoulderIds(boulderCount), climbers.map(c => c.id)),
+      climberProgress: {}
+    };
+  };
+
+  let sheets = parsed.sheets;
+  if (options.sheet !== undefined) {
+    sheets = sheets.filter(sheet => sheet.sheetName === options.sheet);
+    if (sheets.length === 0) errors.push(`Sheet "${options.sheet}" not found`);
+  }
+
+  if (options.mode === 'replace') {
+    if (options.category !== undefined || options.targetRound !== undefined) {
+      errors.push('category and targetRound only apply to mode=merge');
+    }
+    let nextId = 1;
+    const rounds = sheets.map(sheet => {
+      const round = createRound(roundName(sheet), options.settings);
+      if (sheet.categories.length > options.settings.maxCategories) {
+        errors.push(`Sheet "${sheet.sheetName}": Maximum ${options.settings.maxCategories} categories allowed. Found: ${sheet.categories.length}`);
+      }
+      round.categories = sheet.categories.map(source => newCategory(nextId++, source, options.settings.boulderCount));
+      report.push({
+        sheetName: sheet.sheetName,
+        name: round.name,
+        action: 'create',
+        categories: sheet.categories.map(c => ({ name: c.name, action: 'create', climberCount: c.climbers.length }))
       });
+      return round;
+    });
+    return { rounds, activeRoundIndex: 0, report, errors };
+  }
+
+  // Merge works on a copy, so nothing changes until the caller applies the result
+  const rounds = structuredClone(timerState.rounds);
+  let nextId = getNextCategoryId(timerState);
+
+  if (options.targetRound !== undefined) {
+    if (sheets.length !== 1) {
+      errors.push('targetRound needs a single sheet - pick one with the sheet option');
+    } else if (!Number.isInteger(options.targetRound) || !rounds[options.targetRound]) {
+      errors.push('targetRound must be the index of an existing round');
+    }
+  }
+
+  for (const sheet of sheets) {
+    const name = roundName(sheet);
+    let roundIndex = options.targetRound ?? rounds.findIndex(r => r.name === name);
+    let round = rounds[roundIndex];
+    if (!round) {
+      round = createRound(name, options.settings);
+      rounds.push(round);
+      roundIndex = rounds.length - 1;
+    }
+    const roundReport = {
+      sheetName: sheet.sheetName,
+      name: round.name,
+      roundIndex: roundIndex,
+      action: round.categories.length > 0 ? 'merge' : 'create',
+      categories: []
+    };
+
+    let incoming = sheet.categories;
+    if (options.category !== undefined) {
+      incoming = incoming.filter(c => c.name === options.category);
+      if (incoming.length === 0) errors.push(`Category "${options.category}" not found in sheet "${sheet.sheetName}"`);
+    } else {
+      // Replacing a whole round drops the categories the sheet no longer lists
+      const listed = new Set(sheet.categories.map(c => c.name));
+      for (const category of round.categories.filter(c => !listed.has(c.name))) {
+        roundReport.categories.push({ name: category.name, action: 'remove', climberCount: category.boulders[0]?.climbers?.length || 0 });
+      }
+      round.categories = round.categories.filter(c => listed.has(c.name));
+    }
+
+    const { boulderCount, maxCategories } = getRoundSettings(round);
+    for (const source of incoming) {
+      const existing = round.categories.find(c => c.name === source.name);
+      if (existing) {
+        const { added, removed } = mergeCategoryClimbers(existing, source.climbers);
+        roundReport.categories.push({
+          name: source.name,
+          action: 'update',
+          climberCount: source.climbers.length,
+          started: existing.boulders.some(b => b.hasStarted),
+          added: added,
+          removed: removed
+        });
+      } else if (round.categories.length >= maxCategories) {
+        errors.push(`${round.name}: Maximum ${maxCategories} categories allowed - can't add "${source.name}"`);
+      } else {
+        round.categories.push(newCategory(nextId++, source, boulderCount));
+        roundReport.categories.push({ name: source.name, action: 'create', climberCount: source.climbers.length });
+      }
+    }
+    report.push(roundReport);
+  }
+
+  return { rounds, activeRoundIndex: timerState.activeRoundIndex, report, errors };
+}
+
+// --- Results Export ---
+
+const RESULTS_SHEET_SUFFIX = ' Results';
+
+// Excel sheet names: max 31 chars, no []:*?/\ characters
+function toSheetName(name, roundIndex) {
+  const cleaned = String(name || '').replace(/[\[\]:*?/\\]/g, '').trim().substring(0, 31);
+  return cleaned || `Round ${roundIndex + 1}`;
+}
+
+// Rounds whose names are the same (or only differ past the length limit) get their number added
+function getUniqueSheetName(workbook, sheetName, roundIndex, suffix = '') {
+  const name = sheetName.substring(0, 31 - suffix.length) + suffix;
+  if (!workbook.SheetNames.includes(name)) return name;
+  const tag = ` (${roundIndex + 1})`;
+  return sheetName.substring(0, 31 - suffix.length - tag.length) + tag + suffix;
+}
+
+// Start list in the importer's layout: one column per category, climbers in start order below,
+// followed by Bib / Team / Division columns when any climber of the category has them
+function buildStartListRows(round) {
+  const columns = [];
+  for (const category of round.categories || []) {
+    const climbers = (category.boulders[0]?.climbers || []).map(id => getClimber(category, id) || { firstName: id });
+    columns.push({ header: category.name, values: climbers.map(getClimberName) });
+    for (const [header, field] of [['Bib', 'bib'], ['Team', 'team'], ['Division', 'division']]) {
+      if (climbers.some(c => c[field])) {
+        columns.push({ header: header, values: climbers.map(c => c[field] || '') });
+      }
+    }
+  }
+  const rowCount = Math.max(0, ...columns.map(column => column.values.length));
+
+  const rows = [columns.map(column => column.header)];
+  for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+    rows.push(columns.map(column => column.values[rowIndex] ?? ''));
+  }
+  return rows;
+}
+
+// Boulders a climber passed without being recorded on them (an empty slot flowed through)
+function getSkippedBoulderIds(category, climberId) {
+  const progress = category.climberProgress?.[climberId] || [];
+  if (progress.length === 0) return [];
+  const furthest = Math.max(...progress);
+  return category.boulders
+    .map(b => b.boulderId)
+    .filter(boulderId => boulderId < furthest && !progress.includes(boulderId));
+}
+
+// One row per climber: ranking, totals, per-boulder results and rotation status
+function buildResultRows(timerState, roundIndex) {
+  const round = timerState.rounds[roundIndex];
+  const categories = round ? round.categories : timerState.categories;
+  const rows = [];
+
+  for (const categoryResults of computeRoundResults(timerState, roundIndex)) {
+    const category = categories.find(c => c.id === categoryResults.categoryId);
+
+    for (const ranking of categoryResults.rankings) {
+      const row = {
+        'Category': categoryResults.categoryName,
+        'Start Order': ranking.startOrder,
+        'Bib': ranking.bib,
+        'Climber': ranking.climber,
+        'Team': ranking.team,
+        'Division': ranking.division,
+        'Rank': ranking.rank ?? 'DNS',
+        'Points': ranking.points,
+        'Tops': ranking.tops,
+        'Zones': ranking.zones,
+        'Low Zones': ranking.lowZones,
+        'Top Attempts': ranking.topAttempts,
+        'Zone Attempts': ranking.zoneAttempts
+      };
+      for (const boulderId of categoryResults.boulderIds) {
+        const result = ranking.boulders[boulderId];
+        row[`B${boulderId} Attempts`] = result.attempts;
+        row[`B${boulderId} Low Zone`] = result.lowZone ?? '';
+        row[`B${boulderId} Zone`] = result.zone ?? '';
+        row[`B${boulderId} Top`] = result.top ?? '';
+      }
+      row['Boulders Climbed'] = (category.climberProgress?.[ranking.climberId] || []).map(id => `B${id}`).join(' ');
+      row['Completed'] = isClimberCompleted(category, ranking.climberId) ? 'Yes' : 'No';
+      row['Skipped'] = getSkippedBoulderIds(category, ranking.climberId).map(id => `B${id}`).join(' ');
+      rows.push(row);
+    }
+  }
+  return rows;
+}
+
+// --- Timer Command Protocol ---
+// Clients send { command, params } over 'timer-command'; the server validates the
+// params against the command's schema, applies it and acks { ok, state } or { ok: false, error }
+
+const MAX_TIMER_SECONDS = 999 * 60 + 59;
+
+function commandError(code, message) {
+  return { code, message };
+}
+
+// Validate params against a schema of { name: { type, min, max, required } }
+// Unknown keys are rejected so clients can't smuggle extra state through a command
+function validateCommandParams(schema, params) {
+  if (params === undefined || params === null) params = {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return commandError('invalid-params', 'params must be an object');
+  }
+  for (const key of Object.keys(params)) {
+    if (!schema[key]) {
+      return commandError('invalid-params', `Unknown param "${key}"`);
+    }
+  }
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = params[key];
+    if (value === undefined) {
+      if (rule.required) return commandError('invalid-params', `Missing param "${key}"`);
+      continue;
+    }
+    if (rule.type === 'integer' && !Number.isInteger(value)) {
+      return commandError('invalid-params', `"${key}" must be an integer`);
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return commandError('invalid-params', `"${key}" must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return commandError('invalid-params', `"${key}" must be at most ${rule.max}`);
+    }
+  }
+  return null;
+}
+
+// Manual phase skip: climb -> transition (or stopped without a transition), anything else -> climb
+function applyNextPhase(ts) {
+  if (ts.phase === 'climb') {
+    if (totalTrans(ts) > 0) {
+      ts.phase = 'transition';
+      ts.remaining = totalTrans(ts);
+    } else {
+      ts.phase = 'stopped';
+      ts.remaining = totalClimb(ts);
+    }
+  } else {
+    ts.phase = 'climb';
+    ts.remaining = totalClimb(ts);
+  }
+}
+
+// Each command validates its own preconditions and returns an error object, or nothing on success
+const TIMER_COMMANDS = {
+  start: {
+    params: {},
+    apply(ts) {
+      if (ts.running) return commandError('invalid-state', 'Timer is already running');
+      if (ts.phase !== 'stopped') return commandError('invalid-state', 'Timer is paused - use resume');
+      ts.phase = 'climb';
+      ts.remaining = totalClimb(ts);
+      ts.running = true;
+    }
+  },
+  pause: {
+    params: {},
+    apply(ts) {
+      if (!ts.running) return commandError('invalid-state', 'Timer is not running');
+      ts.running = false;
     }
-
-    if (newRounds.length === 0) {
-      return res.status(400).json({ error: 'No valid sheets found. Each sheet must have headers and at least one climber.' });
+  },
+  resume: {
+    params: {},
+    apply(ts) {
+      if (ts.running) return commandError('invalid-state', 'Timer is already running');
+      if (ts.phase === 'stopped') return commandError('invalid-state', 'Timer is stopped - use start');
+      ts.running = true;
+    }
+  },
+  reset: {
+    params: {},
+    apply(ts) {
+      ts.running = false;
+      ts.phase = 'stopped';
+      ts.remaining = totalClimb(ts);
+    }
+  },
+  'next-phase': {
+    params: {},
+    apply(ts) {
+      applyNextPhase(ts);
+    }
+  },
+  'set-remaining': {
+    params: {
+      seconds: { type: 'integer', min: 0, max: MAX_TIMER_SECONDS, required: true }
+    },
+    apply(ts, params) {
+      if (ts.phase === 'stopped') return commandError('invalid-state', 'Timer is stopped - change the climb time instead');
+      ts.remaining = params.seconds;
     }
+  }
+};
 
-    // Update room state with new rounds
-    room.timerState.rounds = newRounds;
-    room.timerState.activeRoundIndex = 0;
-    room.timerState.categories = newRounds[0].categories;
-    room.lastActivity = Date.now();
+// Apply a timer command to a room, starting or stopping the countdown as needed
+// Returns null on success or an error object
+function executeTimerCommand(roomId, payload, actor) {
+  const room = rooms.get(roomId);
+  if (!room) return commandError('not-found', 'Room not found');
+  if (room.masterRoomId) {
+    return commandError('invalid-state', `The clock follows room "${room.masterRoomId}" - control it there`);
+  }
 
-    // Save and broadcast to all clients in this room
-    saveRoomData(roomId, room);
-    io.to(roomId).emit('rounds-sync', {
-      rounds: room.timerState.rounds.map(r => ({ name: r.name, categoryCount: r.categories?.length || 0 })),
-      activeRoundIndex: room.timerState.activeRoundIndex
-    });
-    io.to(roomId).emit('categories-sync', room.timerState.categories);
+  if (typeof payload !== 'object' || payload === null) {
+    return commandError('invalid-payload', 'Expected { command, params }');
+  }
 
-    const totalClimbers = newRounds.reduce((sum, round) =>
-      sum + round.categories.reduce((catSum, cat) => catSum + (cat.boulders[0]?.climbers?.length || 0), 0)
-    , 0);
-    const totalCategories = newRounds.reduce((sum, round) => sum + round.categories.length, 0);
+  const definition = Object.prototype.hasOwnProperty.call(TIMER_COMMANDS, payload.command)
+    ? TIMER_COMMANDS[payload.command]
+    : null;
+  if (!definition) {
+    return commandError('unknown-command', `Unknown command "${payload.command}"`);
+  }
 
-    console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Imported ${newRounds.length} rounds with ${totalCategories} categories and ${totalClimbers} total climbers from Excel`);
+  const params = payload.params || {};
+  const validationError = validateCommandParams(definition.params, params);
+  if (validationError) return validationError;
 
-    res.json({
-      success: true,
-      roomId: roomId,
-      roundsCreated: newRounds.length,
-      categoriesCreated: totalCategories,
-      totalClimbers: totalClimbers,
-      rounds: newRounds.map(r => ({
-        name: r.name,
-        categories: r.categories.map(c => ({ name: c.name, climberCount: c.boulders[0]?.climbers?.length || 0 }))
-      }))
-    });
+  const ts = room.timerState;
+  const wasRunning = ts.running;
 
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error importing Excel:`, error);
-    res.status(500).json({ error: 'Failed to parse Excel file: ' + error.message });
+  // Freeze the clock at its exact position so the command sees the current second
+  const remainingMsBefore = getRemainingMs(ts);
+  ts.remaining = Math.ceil(remainingMsBefore / 1000);
+  const phaseBefore = ts.phase;
+  const remainingBefore = ts.remaining;
+
+  const applyError = definition.apply(ts, params);
+  if (applyError) return applyError;
+
+  // Pause/resume keep sub-second precision; anything that set a new time starts on a whole second
+  const remainingMs = ts.phase === phaseBefore && ts.remaining === remainingBefore
+    ? remainingMsBefore
+    : ts.remaining * 1000;
+  setClockRemaining(ts, remainingMs);
+
+  recordEvent(roomId, room, actor, 'timer-command', { command: payload.command, params: params });
+  room.lastActivity = Date.now();
+  if (payload.command === 'start' || payload.command === 'next-phase') {
+    dispatchPhaseStart(roomId, room);
   }
-});
 
-// Initialize default room on startup
-getOrCreateRoom(DEFAULT_ROOM);
+  if (ts.running && !wasRunning) {
+    startServerTimerForRoom(roomId);
+  } else if (!ts.running && wasRunning) {
+    stopServerTimerForRoom(roomId);
+  }
 
-// Helper functions for room timer calculations
-const totalClimb = (timerState) => timerState.climbMin * 60 + timerState.climbSec;
-const totalTrans = (timerState) => timerState.transMin * 60 + timerState.transSec;
+  emitToRoom(roomId, 'timer-sync', getClockPayload(ts));
+  saveRoomData(roomId, room);
+  syncFollowerClocks(roomId, { phaseStart: payload.command === 'start' || payload.command === 'next-phase' });
+  return null;
+}
 
-// --- Climber Completion Tracking Helpers ---
+// --- Rotation and round commands ---
+// Shared by the socket handlers and the REST control API; each returns null on success or an error object
 
-// Initialize climberProgress if it doesn't exist
-function ensureClimberProgress(category) {
-  if (!category.climberProgress) {
-    category.climberProgress = {};
+// Advance the climbers on one boulder in every category that has it
+function advanceRoomBoulder(roomId, boulderId, actor, expectedRevision) {
+  const room = rooms.get(roomId);
+  if (!room) return commandError('not-found', 'Room not found');
+  if (!Number.isInteger(boulderId)) return commandError('invalid-params', 'boulderId must be an integer');
+  const conflict = checkRevision(expectedRevision, room.revision, 'The rotation');
+  if (conflict) return conflict;
+
+  const ts = room.timerState;
+  const categories = ts.categories.filter(category => category.boulders.some(b => b.boulderId === boulderId));
+  if (categories.length === 0) return commandError('not-found', `Boulder ${boulderId} not found`);
+
+  const mode = getRotationMode(ts);
+  const snapshot = captureRotationState(ts);
+  categories.forEach(category => {
+    advanceCategoryBoulder(category, category.boulders.findIndex(b => b.boulderId === boulderId), mode);
+  });
+  recordRotationEvent(roomId, room, snapshot, actor, 'advance-boulder', { boulderId });
+  room.lastActivity = Date.now();
+  broadcastCategories(roomId);
+  saveRoomData(roomId, room);
+  return null;
+}
+
+// Advance every boulder of one category
+function advanceRoomCategory(roomId, categoryId, actor, expectedRevision) {
+  const room = rooms.get(roomId);
+  if (!room) return commandError('not-found', 'Room not found');
+
+  const ts = room.timerState;
+  const category = ts.categories.find(c => c.id === categoryId);
+  if (!category) return commandError('not-found', 'Category not found');
+  const conflict = checkRevision(expectedRevision, category.revision, category.name);
+  if (conflict) return conflict;
+
+  const snapshot = captureRotationState(ts);
+  advanceCategory(category, getRotationMode(ts));
+  recordRotationEvent(roomId, room, snapshot, actor, 'advance-category', { categoryId });
+  room.lastActivity = Date.now();
+  broadcastCategories(roomId);
+  saveRoomData(roomId, room);
+  return null;
+}
+
+// Make another round active; its categories resume from wherever the round was left
+function switchRoomRound(roomId, roundIndex, actor) {
+  const room = rooms.get(roomId);
+  if (!room) return commandError('not-found', 'Room not found');
+
+  const ts = room.timerState;
+  const newIndex = parseInt(roundIndex);
+  if (isNaN(newIndex) || newIndex < 0 || newIndex >= ts.rounds.length) {
+    return commandError('invalid-params', `Invalid round index: ${roundIndex}`);
   }
+
+  // Each round keeps its own categories, so their rotation state is saved while the round is away
+  ts.activeRoundIndex = newIndex;
+  const newRound = ts.rounds[newIndex];
+  ts.categories = newRound.categories;
+  applyRoundTiming(roomId, room, newRound);
+  recordEvent(roomId, room, actor, 'switch-round', { roundIndex: newIndex, name: newRound.name });
+  room.lastActivity = Date.now();
+  dispatchWebhookEvent(roomId, room, 'round-switched', { roundIndex: newIndex, roundName: newRound.name });
+
+  // Broadcast to all clients in the room
+  emitToRoom(roomId, 'rounds-sync', getRoundsSyncPayload(ts));
+  broadcastCategories(roomId);
+  broadcastResults(roomId, room);
+  saveRoomData(roomId, room);
+  return null;
 }
 
-// Record that a climber has climbed on a specific boulder
-function recordClimberProgress(category, climberName, boulderId) {
-  ensureClimberProgress(category);
-  if (!category.climberProgress[climberName]) {
-    category.climberProgress[climberName] = [];
+// Send every category of the active round back to its first climber (results are kept); undoable
+function restartRoomRound(roomId, actor, expectedRevision) {
+  const room = rooms.get(roomId);
+  if (!room) return commandError('not-found', 'Room not found');
+
+  const ts = room.timerState;
+  const round = ts.rounds[ts.activeRoundIndex];
+  if (!round) return commandError('invalid-state', 'No round to restart');
+  const conflict = checkRevision(expectedRevision, room.revision, 'The rotation');
+  if (conflict) return conflict;
+
+  const snapshot = captureRotationState(ts);
+  ts.categories.forEach(category => {
+    category.climberProgress = {};
+    category.boulders.forEach(boulder => {
+      boulder.currentClimberIndex = 0;
+      boulder.hasStarted = false;
+      boulder.skipNext = false;
+      boulder.idle = false;
+    });
+  });
+  recordRotationEvent(roomId, room, snapshot, actor, 'restart-round', { roundIndex: ts.activeRoundIndex, name: round.name });
+  room.lastActivity = Date.now();
+  broadcastCategories(roomId);
+  saveRoomData(roomId, room);
+  return null;
+}
+
+// --- Deadline-based countdown ---
+
+// Exact milliseconds left in the current phase
+function getRemainingMs(ts) {
+  if (ts.running && Number.isFinite(ts.phaseEndsAt)) {
+    return Math.max(0, ts.phaseEndsAt - Date.now());
   }
-  if (!category.climberProgress[climberName].includes(boulderId)) {
-    category.climberProgress[climberName].push(boulderId);
-    category.climberProgress[climberName].sort((a, b) => a - b);
+  if (ts.phase !== 'stopped' && Number.isFinite(ts.pausedRemainingMs)) {
+    return ts.pausedRemainingMs;
   }
+  return ts.remaining * 1000;
 }
 
-// Check if a climber has completed all 4 boulders
-function isClimberCompleted(category, climberName) {
-  ensureClimberProgress(category);
-  const progress = category.climberProgress[climberName] || [];
-  return progress.length >= 4 && [1, 2, 3, 4].every(b => progress.includes(b));
+// Point the deadline (running) or the paused remainder (paused) at remainingMs
+function setClockRemaining(ts, remainingMs) {
+  ts.remaining = Math.ceil(remainingMs / 1000);
+  if (ts.running) {
+    ts.phaseEndsAt = Date.now() + remainingMs;
+    ts.pausedRemainingMs = null;
+  } else {
+    ts.phaseEndsAt = null;
+    ts.pausedRemainingMs = ts.phase === 'stopped' ? null : remainingMs;
+  }
 }
 
-// Get count of active (non-completed) climbers in a category
-function getActiveClimberCount(category) {
-  const climbers = category.boulders[0]?.climbers || [];
-  return climbers.filter(name => !isClimberCompleted(category, name)).length;
+// End-of-climb rotation step, journaled as a system action
+function autoAdvanceClimbers(roomId, room, details) {
+  const ts = room.timerState;
+  const snapshot = captureRotationState(ts);
+  advanceNonHeldClimbers(ts);
+  recordRotationEvent(roomId, room, snapshot, SYSTEM_ACTOR, 'auto-advance', details);
+  broadcastCategories(roomId);
 }
 
-// Find next non-completed climber index, starting from current position
-function getNextActiveClimberIndex(boulder, category, startIndex) {
-  const climbers = boulder.climbers || [];
-  if (climbers.length === 0) return 0;
+// Move a running room to its next phase once the 0 has been shown
+// The new deadline is anchored on the previous one, so phases never accumulate drift
+function advanceRunningPhase(roomId, room) {
+  const ts = room.timerState;
+  const phaseStartsAt = ts.phaseEndsAt + ZERO_HOLD_MS;
+
+  if (ts.phase === 'climb') {
+    // Auto-advance climbers before transitioning away from climb phase, in linked rooms too
+    autoAdvanceClimbers(roomId, room);
+    for (const [followerId, follower] of getFollowerRooms(roomId)) {
+      autoAdvanceClimbers(followerId, follower, { masterRoomId: roomId });
+    }
 
-  // Try each position starting from startIndex
-  for (let i = 0; i < climbers.length; i++) {
-    const index = (startIndex + i) % climbers.length;
-    const climberName = climbers[index];
-    if (!isClimberCompleted(category, climberName)) {
-      return index;
+    if (totalTrans(ts) > 0) {
+      ts.phase = 'transition';
+      ts.remaining = totalTrans(ts);
+    } else {
+      ts.phase = 'climb';
+      ts.remaining = totalClimb(ts);
     }
+  } else if (ts.phase === 'transition') {
+    ts.phase = 'climb';
+    ts.remaining = totalClimb(ts);
   }
-  // All climbers completed - return startIndex (will show as all done)
-  return startIndex;
+
+  ts.phaseEndsAt = phaseStartsAt + ts.remaining * 1000;
+  console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Phase advanced to: ${ts.phase}`);
 }
 
-// Check if a boulder can start (previous boulder must have advanced at least twice)
-// This ensures climbers get one full climb phase of rest between boulders
-function canBoulderStart(category, boulderIndex) {
-  if (boulderIndex === 0) return true; // B1 can always start
+// Server-side countdown function for a specific room
+function startServerTimerForRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || room.timerInterval) return; // Room doesn't exist or already running
 
-  const prevBoulder = category.boulders[boulderIndex - 1];
-  // Previous boulder must be started AND have advanced at least twice
-  // (climber needs 1 round climbing + 1 round resting before next boulder)
-  return prevBoulder && prevBoulder.hasStarted && prevBoulder.currentClimberIndex > 1;
-}
+  room.timerInterval = setInterval(() => {
+    const timerState = room.timerState;
+    if (!timerState.running) {
+      stopServerTimerForRoom(roomId);
+      return;
+    }
 
-// Advance a single boulder, recording progress and skipping completed climbers
-// boulderIndex is optional - if provided, checks cascading start rules
-// Returns true if this boulder had a skip that should flow to next boulder
-function advanceBoulder(boulder, category, boulderIndex = null) {
-  if (!boulder.climbers || boulder.climbers.length === 0) return false;
+    // Catch up on every phase whose deadline has passed (several after a long restart)
+    // Followers leave phase changes to their master, which advances them in step
+    let phaseChanged = false;
+    while (!room.masterRoomId && timerState.running && Date.now() >= timerState.phaseEndsAt + ZERO_HOLD_MS) {
+      advanceRunningPhase(roomId, room);
+      phaseChanged = true;
+    }
+    if (phaseChanged) {
+      dispatchPhaseStart(roomId, room);
+      syncFollowerClocks(roomId, { phaseStart: true });
+    }
 
-  // Check if this boulder has a pending skip (empty slot flowing through)
-  if (boulder.skipNext) {
-    boulder.skipNext = false;
-    // Pass skip to next boulder if it exists
-    if (boulderIndex !== null && boulderIndex < category.boulders.length - 1) {
-      category.boulders[boulderIndex + 1].skipNext = true;
+    const next = Math.ceil(getRemainingMs(timerState) / 1000);
+    if (next === timerState.remaining && !phaseChanged) return;
+
+    if (timerState.phase === 'climb' && !phaseChanged && timerState.remaining > 60 && next <= 60) {
+      dispatchWebhookEvent(roomId, room, 'one-minute-warning', { phase: timerState.phase, remaining: next, phaseEndsAt: timerState.phaseEndsAt });
     }
-    // Don't advance climber index - no one climbed, just showing empty
-    return true;
+
+    timerState.remaining = next;
+    room.lastActivity = Date.now();
+
+    // Broadcast the updated time to all clients in this room
+    emitToRoom(roomId, 'timer-sync', getClockPayload(timerState));
+    console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Timer tick: ${timerState.phase} - ${next}s remaining`);
+
+    if (phaseChanged) {
+      saveRoomData(roomId, room);
+    }
+  }, TIMER_TICK_MS);
+}
+
+function stopServerTimerForRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (room && room.timerInterval) {
+    clearInterval(room.timerInterval);
+    room.timerInterval = null;
+    console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Server timer stopped`);
   }
+}
 
-  // If boulder hasn't started yet, check if it can start
-  if (!boulder.hasStarted) {
-    // If boulderIndex provided, check cascading rules
-    if (boulderIndex !== null && !canBoulderStart(category, boulderIndex)) {
-      return false; // Can't start yet - previous boulder hasn't advanced
+// --- Linked Rooms ---
+// A follower room mirrors its master's clock (phase, deadline and durations) while keeping its own
+// categories and rotation. Only the master's clock can be controlled; when its climb phase ends,
+// every follower auto-advances its own climbers in the same tick. Links are one level deep.
+
+const LINKED_CLOCK_FIELDS = ['climbMin', 'climbSec', 'transMin', 'transSec', 'phase', 'running', 'remaining', 'phaseEndsAt', 'pausedRemainingMs'];
+
+function getFollowerRooms(masterRoomId) {
+  return [...rooms].filter(([, room]) => room.masterRoomId === masterRoomId);
+}
+
+function getLinkInfo(roomId) {
+  return {
+    masterRoomId: rooms.get(roomId)?.masterRoomId || null,
+    followers: getFollowerRooms(roomId).map(([followerId]) => followerId)
+  };
+}
+
+// timer-sync carries only the clock; durations and showNames go out in config-sync, categories in
+// categories-sync / categories-patch
+function getClockPayload(ts) {
+  return {
+    phase: ts.phase,
+    remaining: ts.remaining,
+    running: ts.running,
+    phaseEndsAt: ts.phaseEndsAt
+  };
+}
+
+function getConfigPayload(ts) {
+  return {
+    climbMin: ts.climbMin,
+    climbSec: ts.climbSec,
+    transMin: ts.transMin,
+    transSec: ts.transSec,
+    showNames: ts.showNames
+  };
+}
+
+// Copy the master's clock to every follower and broadcast it there
+function syncFollowerClocks(masterRoomId, options = {}) {
+  const master = rooms.get(masterRoomId);
+  if (!master) return;
+
+  for (const [followerId, follower] of getFollowerRooms(masterRoomId)) {
+    const ts = follower.timerState;
+    for (const field of LINKED_CLOCK_FIELDS) {
+      ts[field] = master.timerState[field];
+    }
+    if (ts.running) {
+      startServerTimerForRoom(followerId);
+    } else {
+      stopServerTimerForRoom(followerId);
     }
 
-    boulder.hasStarted = true;
-    // Record that first climber is now on this boulder
-    const firstClimber = boulder.climbers[boulder.currentClimberIndex];
-    if (firstClimber) {
-      recordClimberProgress(category, firstClimber, boulder.boulderId);
+    emitToRoom(followerId, 'timer-sync', getClockPayload(ts));
+    io.to(followerId).emit('config-sync', getConfigPayload(ts));
+    if (options.phaseStart) {
+      dispatchPhaseStart(followerId, follower);
     }
-    return false;
+    saveRoomData(followerId, follower);
   }
+}
 
-  // Record that current climber has climbed this boulder
-  const currentClimber = boulder.climbers[boulder.currentClimberIndex];
-  if (currentClimber) {
-    recordClimberProgress(category, currentClimber, boulder.boulderId);
+function broadcastLinkInfo(roomId) {
+  io.to(roomId).emit('link-info', getLinkInfo(roomId));
+}
+
+// Returns an error message, or null once the follower mirrors the master
+function linkRoom(followerId, masterRoomId, actor) {
+  const follower = rooms.get(followerId);
+  const master = rooms.get(masterRoomId);
+  if (!follower || !master) return 'Room not found';
+  if (followerId === masterRoomId) return 'A room cannot follow itself';
+  if (master.masterRoomId) return `"${masterRoomId}" already follows "${master.masterRoomId}"`;
+  if (getFollowerRooms(followerId).length > 0) return `"${followerId}" is a master for other rooms`;
+
+  const previousMaster = follower.masterRoomId;
+  follower.masterRoomId = masterRoomId;
+  recordEvent(followerId, follower, actor, 'link-room', { masterRoomId: masterRoomId });
+  syncFollowerClocks(masterRoomId);
+
+  console.log(`[${new Date().toISOString()}] [Room: ${followerId}] Linked to master room "${masterRoomId}"`);
+  broadcastLinkInfo(followerId);
+  broadcastLinkInfo(masterRoomId);
+  if (previousMaster && previousMaster !== masterRoomId) {
+    broadcastLinkInfo(previousMaster);
   }
+  return null;
+}
 
-  // Find next active (non-completed) climber
-  const nextIndex = (boulder.currentClimberIndex + 1) % boulder.climbers.length;
-  boulder.currentClimberIndex = getNextActiveClimberIndex(boulder, category, nextIndex);
-  return false;
+// The follower keeps the clock it had and runs it on its own from here
+function unlinkRoom(followerId, actor = SYSTEM_ACTOR) {
+  const follower = rooms.get(followerId);
+  if (!follower || !follower.masterRoomId) return;
+
+  const masterRoomId = follower.masterRoomId;
+  follower.masterRoomId = null;
+  recordEvent(followerId, follower, actor, 'unlink-room', { masterRoomId: masterRoomId });
+  saveRoomData(followerId, follower);
+
+  console.log(`[${new Date().toISOString()}] [Room: ${followerId}] Unlinked from master room "${masterRoomId}"`);
+  broadcastLinkInfo(followerId);
+  broadcastLinkInfo(masterRoomId);
 }
 
-// Auto-advance all non-held climbers (called when climb phase ends)
-// Process boulders in order (B1 first) to correctly handle cascading starts
-function advanceNonHeldClimbers(timerState) {
-  timerState.categories.forEach(category => {
-    for (let i = 0; i < category.boulders.length; i++) {
-      advanceBoulder(category.boulders[i], category, i);
-    }
+// --- Schedule Planner ---
+// Projects when each category of each round will start and finish by replaying the rotation engine
+// on a copy of the categories, one rotation per climb period. The active round is replayed from its
+// current state and clock, so skips, pauses and duration changes move the projection; later rounds
+// start from scratch once the round before them ends (or at their auto-start time).
+// A round can be given an auto-start time (round.autoStartAt, epoch ms): the server switches to it and
+// starts the clock then.
+
+const SCHEDULE_CHECK_MS = 1000;
+const MAX_AUTO_START_AHEAD_MS = 7 * 24 * 60 * 60 * 1000;
+
+// One rotation: a climb period, its 0 hold and the transition (if any) before the next climb starts
+function getRotationPeriodMs(ts) {
+  const transMs = totalTrans(ts) * 1000;
+  return totalClimb(ts) * 1000 + ZERO_HOLD_MS + (transMs > 0 ? transMs + ZERO_HOLD_MS : 0);
+}
+
+function isCategoryCompleted(category) {
+  const climbers = category.boulders[0]?.climbers || [];
+  return climbers.length > 0 && climbers.every(id => isClimberCompleted(category, id));
+}
+
+// Deadline of the climb period the current rotation state belongs to, and whether it only holds
+// while the clock keeps running (floating projections move with the clock while paused or stopped)
+function getCurrentClimbEnd(ts, startAt, now) {
+  const climbMs = totalClimb(ts) * 1000;
+  if (ts.phase === 'stopped') {
+    return { climbEndsAt: Math.max(startAt || now, now) + climbMs, floating: !startAt };
+  }
+  const phaseEndsAt = now + getRemainingMs(ts);
+  const climbEndsAt = ts.phase === 'climb' ? phaseEndsAt : phaseEndsAt + ZERO_HOLD_MS + climbMs;
+  return { climbEndsAt: climbEndsAt, floating: !ts.running };
+}
+
+function cloneRotation(category) {
+  return { boulders: structuredClone(category.boulders), climberProgress: structuredClone(category.climberProgress || {}) };
+}
+
+// Climber progress from before the last rotation step of the active round, if it is still known
+function getProgressBeforeLastStep(room, category) {
+  const lastStep = room.undoStack[room.undoStack.length - 1];
+  if (lastStep?.snapshot.roundIndex !== room.timerState.activeRoundIndex) return null;
+  return lastStep.snapshot.categories.find(c => c.id === category.id)?.climberProgress || null;
+}
+
+// Climbers on a boulder this climb period, as climberId -> boulderId
+// Sequential modes record a turn when the climber steps up and idle every boulder once done. The
+// cascade records it when the climber moves on (only a boulder's first climber on stepping up), and
+// leaves finished boulders pointing at a climber who is done, so those need the progress from before
+// the step (progressBefore) to tell a final turn from a finished one
+function getClimbersOnWall(rotation, mode, progressBefore) {
+  const onWall = new Map();
+  for (const boulder of rotation.boulders) {
+    if (!boulder.hasStarted || boulder.idle || boulder.skipNext) continue;
+    const climberId = boulder.climbers?.[boulder.currentClimberIndex];
+    if (!climberId) continue;
+    const climbing = mode !== ROTATION_CASCADE
+      || !(rotation.climberProgress[climberId] || []).includes(boulder.boulderId)
+      || !isClimberCompleted(rotation, climberId)
+      || (progressBefore !== null && !(progressBefore[climberId] || []).includes(boulder.boulderId));
+    if (climbing) onWall.set(climberId, boulder.boulderId);
+  }
+  return onWall;
+}
+
+// Replay a rotation one step (climb period) at a time while anyone still has a turn to come
+// onStep(step, onWall) runs for the current period (step 0) and every replayed one
+function replayRotation(rotation, mode, progressBefore, onStep) {
+  let onWall = getClimbersOnWall(rotation, mode, progressBefore);
+  onStep(0, onWall);
+  // Enough steps for any rotation to finish; guards against one that never does
+  const maxSteps = (rotation.boulders[0]?.climbers?.length || 0) * rotation.boulders.length * 3 + 10;
+  for (let step = 1; step <= maxSteps && !(isCategoryCompleted(rotation) && onWall.size === 0); step++) {
+    const before = structuredClone(rotation.climberProgress);
+    advanceCategory(rotation, mode);
+    onWall = getClimbersOnWall(rotation, mode, before);
+    if (onStep(step, onWall) === false) break;
+  }
+}
+
+// When a category's first turn starts and its last turn ends
+function projectCategory(category, rotation, mode, timing, progressBefore) {
+  const climberCount = category.boulders[0]?.climbers?.length || 0;
+  const started = rotation.boulders.some(b => b.hasStarted);
+  const projection = { id: category.id, name: category.name, climberCount: climberCount, status: started ? 'in-progress' : 'not-started', startAt: null, endAt: null, rotationsLeft: 0 };
+  if (climberCount === 0) {
+    projection.status = 'empty';
+    return projection;
+  }
+
+  const { climbEndsAt, periodMs, climbMs } = timing;
+  let firstStep = null;
+  let lastStep = null;
+  replayRotation(rotation, mode, progressBefore, (step, onWall) => {
+    if (onWall.size === 0) return;
+    if (firstStep === null) firstStep = step;
+    lastStep = step;
   });
+
+  if (lastStep === null) {
+    if (started) projection.status = 'finished';
+    return projection;
+  }
+  if (!started) projection.startAt = climbEndsAt + firstStep * periodMs - climbMs;
+  projection.endAt = climbEndsAt + lastStep * periodMs;
+  projection.rotationsLeft = lastStep;
+  return projection;
 }
 
-// Server-side countdown function for a specific room
-function startServerTimerForRoom(roomId) {
-  const room = rooms.get(roomId);
-  if (!room || room.timerInterval) return; // Room doesn't exist or already running
+function projectRound(round, roundIndex, status, climbEnd, timing, getRotation, getProgressBefore) {
+  const mode = getRoundSettings(round).rotationMode;
+  const roundTiming = { ...timing, climbEndsAt: climbEnd.climbEndsAt };
+  const categories = round.categories.map(category => {
+    return projectCategory(category, getRotation(category), mode, roundTiming, getProgressBefore(category));
+  });
+  const starts = categories.map(c => c.startAt).filter(Number.isFinite);
+  const ends = categories.map(c => c.endAt).filter(Number.isFinite);
+  return {
+    index: roundIndex,
+    name: round.name,
+    status: status,
+    autoStartAt: round.autoStartAt || null,
+    floating: climbEnd.floating,
+    startAt: starts.length > 0 ? Math.min(...starts) : null,
+    endAt: ends.length > 0 ? Math.max(...ends) : null,
+    categories: categories
+  };
+}
 
-  room.timerInterval = setInterval(() => {
-    const timerState = room.timerState;
-    if (!timerState.running) {
-      stopServerTimerForRoom(roomId);
+// Projected start and end times (epoch ms) per round and category
+function computeSchedule(room, now = Date.now()) {
+  const ts = room.timerState;
+  const timing = { periodMs: getRotationPeriodMs(ts), climbMs: totalClimb(ts) * 1000 };
+
+  const rounds = [];
+  let nextRoundStart = null;
+  ts.rounds.forEach((round, index) => {
+    if (index < ts.activeRoundIndex) {
+      rounds.push({ index: index, name: round.name, status: 'past', autoStartAt: round.autoStartAt || null, floating: false, startAt: null, endAt: null, categories: [] });
       return;
     }
 
-    const prev = timerState.remaining;
-    const next = Math.max(prev - 1, 0);
-    timerState.remaining = next;
-    room.lastActivity = Date.now();
+    let projection;
+    if (index === ts.activeRoundIndex) {
+      const climbEnd = getCurrentClimbEnd(ts, round.autoStartAt, now);
+      const getProgressBefore = (category) => getProgressBeforeLastStep(room, category);
+      projection = projectRound(round, index, 'active', climbEnd, timing, cloneRotation, getProgressBefore);
+    } else {
+      // An upcoming round runs on its own timing once it's switched to
+      const roundTiming = round.timing
+        ? { periodMs: getRotationPeriodMs(round.timing), climbMs: totalClimb(round.timing) * 1000 }
+        : timing;
+      const startAt = round.autoStartAt || nextRoundStart || now;
+      const climbEnd = { climbEndsAt: startAt + roundTiming.climbMs, floating: !round.autoStartAt && rounds[rounds.length - 1].floating };
+      // Switching to a round resumes its saved rotation, so that is where its projection starts
+      projection = projectRound(round, index, 'upcoming', climbEnd, roundTiming, cloneRotation, () => null);
+    }
+    rounds.push(projection);
+    nextRoundStart = projection.endAt || projection.startAt || nextRoundStart;
+  });
+
+  return { computedAt: now, periodMs: timing.periodMs, rounds: rounds };
+}
+
+// Recompute and broadcast the schedule; on timer ticks only when the clock changes course
+function broadcastSchedule(roomId, room, options = {}) {
+  const ts = room.timerState;
+  const clockKey = `${ts.phase}|${ts.running}|${ts.phaseEndsAt}|${getRotationPeriodMs(ts)}`;
+  if (options.onlyIfClockChanged && clockKey === room.scheduleClockKey) return;
+  room.scheduleClockKey = clockKey;
+  io.to(roomId).emit('schedule-sync', computeSchedule(room));
+}
+
+// Accepts epoch ms, an ISO date-time or a local "HH:MM" time of day (the next one to come)
+// Returns epoch ms, or null if the value can't be read
+function parseAutoStartTime(value, now = Date.now()) {
+  if (Number.isFinite(value)) return value;
+  if (typeof value !== 'string') return null;
+  const timeOfDay = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (timeOfDay) {
+    const [hours, minutes] = [parseInt(timeOfDay[1]), parseInt(timeOfDay[2])];
+    if (hours > 23 || minutes > 59) return null;
+    const date = new Date(now);
+    date.setHours(hours, minutes, 0, 0);
+    if (date.getTime() <= now) date.setDate(date.getDate() + 1);
+    return date.getTime();
+  }
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Set (or with startAt null, cancel) a round's auto-start; returns null on success or an error object
+function setRoundAutoStart(roomId, roundIndex, startAt, actor) {
+  const room = rooms.get(roomId);
+  if (!room) return commandError('not-found', 'Room not found');
+  if (room.masterRoomId) {
+    return commandError('invalid-state', `The clock follows room "${room.masterRoomId}" - schedule it there`);
+  }
+
+  const ts = room.timerState;
+  const round = ts.rounds[roundIndex];
+  if (!Number.isInteger(roundIndex) || !round) {
+    return commandError('invalid-params', `Invalid round index: ${roundIndex}`);
+  }
+
+  if (startAt === null || startAt === undefined) {
+    delete round.autoStartAt;
+  } else {
+    const now = Date.now();
+    const at = parseAutoStartTime(startAt, now);
+    if (at === null) return commandError('invalid-params', 'startAt must be epoch ms, an ISO date-time or "HH:MM"');
+    if (at <= now) return commandError('invalid-params', 'The auto-start time has already passed');
+    if (at - now > MAX_AUTO_START_AHEAD_MS) return commandError('invalid-params', 'The auto-start time must be within 7 days');
+    round.autoStartAt = at;
+  }
+
+  recordEvent(roomId, room, actor, 'schedule-round-start', { roundIndex: roundIndex, name: round.name, autoStartAt: round.autoStartAt || null });
+  room.lastActivity = Date.now();
+  emitToRoom(roomId, 'rounds-sync', getRoundsSyncPayload(ts));
+  saveRoomData(roomId, room);
+  return null;
+}
+
+// Switch to and start every round whose auto-start time has come
+// A clock that is still running or paused is left alone; the auto-start is dropped and journaled
+function runAutoStarts() {
+  const now = Date.now();
+  for (const [roomId, room] of rooms) {
+    if (room.masterRoomId) continue;
+    const ts = room.timerState;
+    const roundIndex = ts.rounds.findIndex(r => Number.isFinite(r.autoStartAt) && r.autoStartAt <= now);
+    if (roundIndex < 0) continue;
+
+    const round = ts.rounds[roundIndex];
+    delete round.autoStartAt;
+    try {
+      if (ts.phase !== 'stopped') {
+        recordEvent(roomId, room, SYSTEM_ACTOR, 'auto-start-skipped', { roundIndex: roundIndex, name: round.name, phase: ts.phase });
+        console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Auto-start of round "${round.name}" skipped, the clock is not stopped (${ts.phase})`);
+        emitToRoom(roomId, 'rounds-sync', getRoundsSyncPayload(ts));
+        saveRoomData(roomId, room);
+        continue;
+      }
 
-    // Broadcast the updated time to all clients in this room
-    io.to(roomId).emit('timer-sync', timerState);
-    console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Timer tick: ${timerState.phase} - ${next}s remaining`);
+      const error = (roundIndex !== ts.activeRoundIndex ? switchRoomRound(roomId, roundIndex, SYSTEM_ACTOR) : null)
+        || executeTimerCommand(roomId, { command: 'start' }, SYSTEM_ACTOR);
+      if (error) {
+        console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Auto-start of round "${round.name}" failed: ${error.message}`);
+      } else {
+        console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Auto-started round ${roundIndex + 1} (${round.name})`);
+      }
+      emitToRoom(roomId, 'rounds-sync', getRoundsSyncPayload(ts));
+      saveRoomData(roomId, room);
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [Room: ${roomId}] Error auto-starting round:`, error);
+    }
+  }
+}
 
-    // Handle phase auto-advance when time hits 0
-    if (next === 0) {
-      setTimeout(() => {
-        const currentRoom = rooms.get(roomId);
-        if (!currentRoom) return;
-
-        const ts = currentRoom.timerState;
-        if (ts.phase === 'climb') {
-          // Auto-advance climbers before transitioning away from climb phase
-          advanceNonHeldClimbers(ts);
-          io.to(roomId).emit('categories-sync', ts.categories);
-          saveRoomData(roomId, currentRoom);
-
-          if (totalTrans(ts) > 0) {
-            ts.phase = 'transition';
-            ts.remaining = totalTrans(ts);
-          } else {
-            ts.phase = 'climb';
-            ts.remaining = totalClimb(ts);
-          }
-        } else if (ts.phase === 'transition') {
-          ts.phase = 'climb';
-          ts.remaining = totalClimb(ts);
-        }
-        console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Phase advanced to: ${ts.phase}`);
-        io.to(roomId).emit('timer-sync', ts);
-      }, 1000); // Advance after the 0 is displayed for 1 second
+// --- Isolation call-up ---
+// Where every climber of the active round stands: on a boulder now, on deck (stepping up at the next
+// rotation), waiting in isolation for N more rotations, resting between boulders, or done.
+// Waiting climbers get the estimated start of the climb period of their first boulder.
+
+const CALL_UP_ORDER = ['now', 'on-deck', 'waiting', 'resting', 'done'];
+
+function getCategoryCallUp(room, category, mode, timing) {
+  const rotation = cloneRotation(category);
+  const order = rotation.boulders[0]?.climbers || [];
+  const { climbEndsAt, periodMs, climbMs } = timing;
+
+  // Replay until everyone still in isolation has stepped up to a first boulder
+  let onBoulder = new Map();
+  const firstTurns = new Map();
+  const waiting = order.filter(id => (rotation.climberProgress[id] || []).length === 0);
+  replayRotation(rotation, mode, getProgressBeforeLastStep(room, category), (step, onWall) => {
+    if (step === 0) onBoulder = onWall;
+    for (const [climberId, boulderId] of onWall) {
+      if (!firstTurns.has(climberId)) firstTurns.set(climberId, { step: step, boulderId: boulderId });
+    }
+    return waiting.some(id => !firstTurns.has(id));
+  });
+
+  const climbers = order.map(id => {
+    const climber = getClimber(category, id);
+    const entry = { id: id, climber: getClimberLabel(category, id), bib: climber?.bib || '', team: climber?.team || '', status: 'resting', boulderId: null, rotationsUntil: null, estimatedAt: null };
+    if (onBoulder.has(id)) {
+      return { ...entry, status: 'now', boulderId: onBoulder.get(id), rotationsUntil: 0 };
+    }
+    if (isClimberCompleted(category, id)) {
+      return { ...entry, status: 'done' };
+    }
+    const firstTurn = waiting.includes(id) ? firstTurns.get(id) : null;
+    if (firstTurn) {
+      return {
+        ...entry,
+        status: firstTurn.step === 1 ? 'on-deck' : 'waiting',
+        boulderId: firstTurn.boulderId,
+        rotationsUntil: firstTurn.step,
+        estimatedAt: climbEndsAt + firstTurn.step * periodMs - climbMs
+      };
     }
-  }, 1000);
+    return entry;
+  });
+
+  // Stable sort keeps the start order within each status
+  climbers.sort((a, b) => CALL_UP_ORDER.indexOf(a.status) - CALL_UP_ORDER.indexOf(b.status) || (a.rotationsUntil ?? 0) - (b.rotationsUntil ?? 0));
+  return { id: category.id, name: category.name, climbers: climbers };
 }
 
-function stopServerTimerForRoom(roomId) {
-  const room = rooms.get(roomId);
-  if (room && room.timerInterval) {
-    clearInterval(room.timerInterval);
-    room.timerInterval = null;
-    console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Server timer stopped`);
-  }
+function computeCallUp(room, now = Date.now()) {
+  const ts = room.timerState;
+  const round = ts.rounds[ts.activeRoundIndex];
+  const climbEnd = getCurrentClimbEnd(ts, round?.autoStartAt, now);
+  const timing = { climbEndsAt: climbEnd.climbEndsAt, periodMs: getRotationPeriodMs(ts), climbMs: totalClimb(ts) * 1000 };
+  const mode = getRotationMode(ts);
+  return {
+    computedAt: now,
+    floating: climbEnd.floating,
+    round: getNowRound(ts),
+    categories: ts.categories.map(category => getCategoryCallUp(room, category, mode, timing))
+  };
 }
 
 io.on('connection', (socket) => {
   const clientId = socket.id.substring(0, 8);
   const roomId = sanitizeRoomId(socket.handshake.query.room || DEFAULT_ROOM);
   const clientType = socket.handshake.query.type || 'display'; // 'operator' or 'display'
+  const credentials = socket.handshake.auth || {};
+
+  // Rooms are created by an admin (POST /api/rooms), never by connecting to them
+  const room = findRoom(roomId);
+  if (!room) {
+    console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Client ${clientId} rejected: room not found`);
+    socket.emit('room-not-found', { roomId: roomId });
+    socket.disconnect(true);
+    return;
+  }
 
   // Join the Socket.IO room
   socket.join(roomId);
   socket.roomId = roomId;
   socket.clientType = clientType;
 
-  // Get or create the room
-  const room = getOrCreateRoom(roomId);
   room.connectedClients++;
   room.lastActivity = Date.now();
 
+  // The requested client type is only a hint - the role comes from the credentials
+  socket.role = resolveRole(room, credentials);
+  socket.judgeScope = socket.role === ROLE_JUDGE ? resolveJudgeScope(room, credentials.judge) : null;
+
   const timerState = room.timerState;
 
-  console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Client ${clientId} (${clientType}) connected. Room clients: ${room.connectedClients}`);
+  console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Client ${clientId} (${clientType}, role: ${socket.role}) connected. Room clients: ${room.connectedClients}`);
+
+  // Reject mutating events from clients without operator rights
+  socket.use(([event, ...args], next) => {
+    if (OPERATOR_EVENTS.has(event) && !canOperate(socket.role)) {
+      const scope = socket.judgeScope;
+      const data = args[0];
+      if (scope && JUDGE_EVENTS.has(event) && data?.categoryId === scope.categoryId && data?.boulderId === scope.boulderId) {
+        return next();
+      }
+      const message = scope ? `This judge code only scores boulder ${scope.boulderId} of its category` : 'Operator PIN required';
+      const ack = args[args.length - 1];
+      if (typeof ack === 'function') {
+        ack({ ok: false, error: commandError('unauthorized', message) });
+      }
+      socket.emit('auth-error', { event: event, error: message });
+      console.log(`[${new Date().toISOString()}] [Room: ${roomId}] Rejected "${event}" from ${clientId} (role: ${socket.role})`);
+      return;
+    }
+    next();
+  });
+
+  socket.emit('auth-info', {
+    role: socket.role,
+    judgeScope: socket.judgeScope || undefined,
+    roomHasPin: !!room.auth.operatorPin,
+    reason: clientType === 'operator' && !canOperate(socket.role) ? 'invalid-pin' : undefined
+  });
 
   // Send the current timer state to the newly connected client
-  socket.emit('timer-sync', timerState);
+  socket.emit('timer-sync', getClockPayload(timerState));
   socket.emit('config-sync', {
     climbMin: timerState.climbMin,
     climbSec: timerState.climbSec,
@@ -630,56 +3951,55 @@ io.on('connection', (socket) => {
     showNames: timerState.showNames
   });
   // Send rounds info for multi-round navigation
-  socket.emit('rounds-sync', {
-    rounds: timerState.rounds.map(r => ({ name: r.name, categoryCount: r.categories?.length || 0 })),
-    activeRoundIndex: timerState.activeRoundIndex
-  });
-  socket.emit('categories-sync', timerState.categories);
+  socket.emit('rounds-sync', getRoundsSyncPayload(timerState));
+  socket.emit('categories-sync', getCategoriesSnapshot(room));
+  socket.emit('results-sync', getResultsPayload(timerState));
+  socket.emit('schedule-sync', computeSchedule(room));
+  socket.emit('audio-sync', room.audio);
 
   // Send room info
   socket.emit('room-info', { roomId: roomId });
+  socket.emit('link-info', getLinkInfo(roomId));
 
   // Broadcast the updated client count to all clients in the room
   io.to(roomId).emit('client-count', room.connectedClients);
 
-  // Listen for timer state updates from any client
-  socket.on('timer-update', (newState) => {
-
-    try {
-      const currentRoom = rooms.get(socket.roomId);
-      if (!currentRoom) return;
-
-      const ts = currentRoom.timerState;
-
-      // Validate incoming state
-      if (typeof newState === 'object' && newState !== null) {
-        const wasRunning = ts.running;
-
-        // Update the server's state
-        Object.assign(ts, newState);
-        currentRoom.lastActivity = Date.now();
-
-        // Start or stop the server timer based on running state
-        if (ts.running && !wasRunning) {
-          startServerTimerForRoom(socket.roomId);
-          console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Timer started by ${clientId}`);
-        } else if (!ts.running && wasRunning) {
-          stopServerTimerForRoom(socket.roomId);
-          console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Timer stopped by ${clientId}`);
-        }
+  // Clock sync ping: clients estimate their offset and round trip from the reply (NTP-style)
+  socket.on('clock-ping', (clientSentAt, ack) => {
+    if (typeof ack !== 'function') return;
+    ack({ clientSentAt: clientSentAt, serverTime: Date.now() });
+  });
 
-        // Broadcast the new state to ALL clients in the room
-        io.to(socket.roomId).emit('timer-sync', ts);
+  // Full categories snapshot for a client that missed a patch (its revision doesn't match a patch's base)
+  socket.on('categories-resync', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    const currentRoom = rooms.get(socket.roomId);
+    if (currentRoom) ack(getCategoriesSnapshot(currentRoom));
+  });
 
-        console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Timer updated by ${clientId}: phase=${ts.phase}, remaining=${ts.remaining}, running=${ts.running}`);
+  // Listen for timer commands (start, pause, resume, reset, next-phase, set-remaining)
+  socket.on('timer-command', (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const error = executeTimerCommand(socket.roomId, payload, getSocketActor(socket));
+      if (error) {
+        console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Timer command "${payload?.command}" from ${clientId} rejected: ${error.code} - ${error.message}`);
+        respond({ ok: false, error: error });
+        return;
       }
+
+      const ts = rooms.get(socket.roomId).timerState;
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Timer command "${payload.command}" by ${clientId}: phase=${ts.phase}, remaining=${ts.remaining}, running=${ts.running}`);
+      respond({ ok: true, state: { phase: ts.phase, remaining: ts.remaining, running: ts.running } });
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error updating timer:`, error);
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error executing timer command:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to execute command') });
     }
   });
 
-  // Listen for configuration changes
-  socket.on('config-update', (config) => {
+  // Listen for configuration changes: { climbMin?, climbSec?, transMin?, transSec?, showNames? }
+  socket.on('config-update', (config, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
     try {
       const currentRoom = rooms.get(socket.roomId);
       if (!currentRoom) return;
@@ -687,228 +4007,486 @@ io.on('connection', (socket) => {
       const ts = currentRoom.timerState;
 
       if (typeof config === 'object' && config !== null) {
-        ts.climbMin = config.climbMin;
-        ts.climbSec = config.climbSec;
-        ts.transMin = config.transMin;
-        ts.transSec = config.transSec;
+        // Durations get the same checks as a round's timing; a rejected change puts the sender's form back
+        const timing = { ...pickTiming(ts) };
+        TIMING_FIELDS.forEach(field => { if (config[field] !== undefined) timing[field] = config[field]; });
+        const timingError = validateRoundTiming(timing);
+        if (timingError) {
+          socket.emit('config-sync', getConfigPayload(ts));
+          return respond({ ok: false, error: commandError('invalid-params', timingError.replace('timing.', '')) });
+        }
+        if (config.showNames !== undefined && typeof config.showNames !== 'boolean') {
+          return respond({ ok: false, error: commandError('invalid-params', 'showNames must be a boolean') });
+        }
+
+        // Followers take their durations from the master room
+        if (!currentRoom.masterRoomId) {
+          Object.assign(ts, timing);
+          // The durations belong to the active round, so switching back to it brings them back
+          const activeRound = ts.rounds[ts.activeRoundIndex];
+          if (activeRound && !validateRoundTiming(ts)) {
+            activeRound.timing = pickTiming(ts);
+          }
+        }
         if (typeof config.showNames === 'boolean') {
           ts.showNames = config.showNames;
         }
+        recordEvent(socket.roomId, currentRoom, getSocketActor(socket), 'config-update', config);
         currentRoom.lastActivity = Date.now();
 
         // Broadcast config changes to ALL clients in the room
-        io.to(socket.roomId).emit('config-sync', {
-          climbMin: ts.climbMin,
-          climbSec: ts.climbSec,
-          transMin: ts.transMin,
-          transSec: ts.transSec,
-          showNames: ts.showNames
-        });
+        io.to(socket.roomId).emit('config-sync', getConfigPayload(ts));
+        broadcastSchedule(socket.roomId, currentRoom);
+        saveRoomData(socket.roomId, currentRoom);
+        syncFollowerClocks(socket.roomId);
 
-        console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Config updated by ${clientId}: climb=${config.climbMin}:${config.climbSec}, showNames=${ts.showNames}`);
+        console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Config updated by ${clientId}: climb=${ts.climbMin}:${ts.climbSec}, showNames=${ts.showNames}`);
+        respond({ ok: true });
+      } else {
+        respond({ ok: false, error: commandError('invalid-payload', 'Expected { climbMin, climbSec, transMin, transSec, showNames }') });
       }
     } catch (error) {
       console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error updating config:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to update config') });
+    }
+  });
+
+  // Listen for cue schedule changes: { cues?, speech? } replaces those parts, { reset: true } restores the defaults
+  socket.on('audio-update', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const currentRoom = rooms.get(socket.roomId);
+      if (!currentRoom) return;
+      if (typeof data !== 'object' || data === null) {
+        return respond({ ok: false, error: commandError('invalid-payload', 'Expected an object') });
+      }
+
+      const audio = data.reset === true
+        ? createDefaultAudioSettings()
+        : { cues: data.cues ?? currentRoom.audio.cues, speech: data.speech ? { ...currentRoom.audio.speech, ...data.speech } : currentRoom.audio.speech };
+      const validationError = validateAudioSettings(audio);
+      if (validationError) {
+        return respond({ ok: false, error: commandError('invalid-params', validationError) });
+      }
+
+      currentRoom.audio = pickAudioSettings(audio);
+      recordEvent(socket.roomId, currentRoom, getSocketActor(socket), 'audio-update', data.reset === true ? { reset: true } : currentRoom.audio);
+      currentRoom.lastActivity = Date.now();
+
+      io.to(socket.roomId).emit('audio-sync', currentRoom.audio);
+      saveRoomData(socket.roomId, currentRoom);
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Audio cues updated by ${clientId}: ${currentRoom.audio.cues.length} cues, speech ${currentRoom.audio.speech.enabled ? 'on' : 'off'}`);
+      respond({ ok: true, audio: currentRoom.audio });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error updating audio cues:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to update audio cues') });
     }
   });
 
-  // Listen for category add/update
-  socket.on('category-update', (category) => {
+  // Listen for category add/update: { id, expectedRevision?, name?, climbers?, boulders?, climberProgress? }
+  // Only the fields sent are changed, so an edit of the start list can't roll back rotation progress
+  socket.on('category-update', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
     try {
       const currentRoom = rooms.get(socket.roomId);
       if (!currentRoom) return;
 
       const ts = currentRoom.timerState;
 
-      if (typeof category === 'object' && category !== null) {
-        const existingIndex = ts.categories.findIndex(c => c.id === category.id);
+      if (typeof data === 'object' && data !== null) {
+        const { expectedRevision, revision, ...fields } = data;
+        let category = ts.categories.find(c => c.id === fields.id);
+        const { maxCategories } = getRoundSettings(ts.rounds[ts.activeRoundIndex]);
 
-        if (existingIndex >= 0) {
+        if (!category && ts.categories.length >= maxCategories) {
+          return respond({ ok: false, error: commandError('invalid-state', `Maximum ${maxCategories} categories allowed in this round`) });
+        }
+        const fieldsError = validateCategoryFields(fields, !category);
+        if (fieldsError) {
+          return respond({ ok: false, error: commandError('invalid-params', fieldsError) });
+        }
+
+        if (category) {
+          const conflict = checkRevision(expectedRevision, category.revision, category.name);
+          if (conflict) {
+            console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Stale update of category ${category.name} from ${clientId} rejected (revision ${expectedRevision}, now ${category.revision})`);
+            return respond({ ok: false, error: conflict });
+          }
           // Update existing category
-          ts.categories[existingIndex] = category;
+          for (const field of PATCH_FIELDS) {
+            if (field in fields) category[field] = fields[field];
+          }
+          normalizeCategoryClimbers(category);
+          // A rename leaves the start list and rotation alone, so its undo steps still apply
+          if (PATCH_FIELDS.some(field => field !== 'name' && field in fields)) {
+            dropUndoSteps(currentRoom, ts.activeRoundIndex, category.id);
+          }
           console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Category updated by ${clientId}: ${category.name}`);
         } else {
-          // Add new category
+          // Add new category - only its id and the patchable fields, never anything else the client sent
+          category = { id: fields.id, climbers: [], climberProgress: {} };
+          for (const field of PATCH_FIELDS) {
+            if (field in fields) category[field] = fields[field];
+          }
+          normalizeCategoryClimbers(category);
           ts.categories.push(category);
           console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Category added by ${clientId}: ${category.name}`);
         }
 
         // Ensure active round exists, create if needed
         if (ts.rounds.length === 0) {
-          ts.rounds.push({ name: 'Round 1', categories: [] });
+          ts.rounds.push(createRound('Round 1'));
           ts.activeRoundIndex = 0;
         }
         // Sync categories back to the active round
         ts.rounds[ts.activeRoundIndex].categories = ts.categories;
+        recordEvent(socket.roomId, currentRoom, getSocketActor(socket), 'category-update', {
+          categoryId: category.id,
+          name: category.name,
+          fields: PATCH_FIELDS.filter(field => field in fields),
+          climbers: (category.boulders?.[0]?.climbers || []).map(id => getClimberLabel(category, id))
+        });
         currentRoom.lastActivity = Date.now();
 
         // Broadcast to all clients in the room
-        io.to(socket.roomId).emit('categories-sync', ts.categories);
+        broadcastCategories(socket.roomId);
+        broadcastResults(socket.roomId, currentRoom);
         saveRoomData(socket.roomId, currentRoom);
+        respond({ ok: true, revision: category.revision });
       }
     } catch (error) {
       console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error updating category:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to update category') });
     }
   });
 
-  // Listen for category delete
-  socket.on('category-delete', (categoryId) => {
+  // Listen for category delete (categoryId, or { categoryId, expectedRevision })
+  socket.on('category-delete', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
     try {
       const currentRoom = rooms.get(socket.roomId);
       if (!currentRoom) return;
 
       const ts = currentRoom.timerState;
-      const initialLength = ts.categories.length;
-      ts.categories = ts.categories.filter(c => c.id !== categoryId);
+      const { categoryId, expectedRevision } = typeof data === 'object' && data !== null ? data : { categoryId: data };
+      const category = ts.categories.find(c => c.id === categoryId);
+      if (!category) {
+        return respond({ ok: false, error: commandError('not-found', 'Category not found') });
+      }
+      const conflict = checkRevision(expectedRevision, category.revision, category.name);
+      if (conflict) return respond({ ok: false, error: conflict });
 
-      if (ts.categories.length < initialLength) {
-        // Sync categories back to the active round
-        if (ts.rounds.length > 0) {
-          ts.rounds[ts.activeRoundIndex].categories = ts.categories;
-        }
-        currentRoom.lastActivity = Date.now();
-        console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Category deleted by ${clientId}: ID ${categoryId}`);
-        io.to(socket.roomId).emit('categories-sync', ts.categories);
-        saveRoomData(socket.roomId, currentRoom);
+      ts.categories = ts.categories.filter(c => c.id !== categoryId);
+      dropUndoSteps(currentRoom, ts.activeRoundIndex, categoryId);
+      // Sync categories back to the active round
+      if (ts.rounds.length > 0) {
+        ts.rounds[ts.activeRoundIndex].categories = ts.categories;
       }
+      recordEvent(socket.roomId, currentRoom, getSocketActor(socket), 'category-delete', { categoryId });
+      currentRoom.lastActivity = Date.now();
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Category deleted by ${clientId}: ID ${categoryId}`);
+      broadcastCategories(socket.roomId);
+      broadcastResults(socket.roomId, currentRoom);
+      saveRoomData(socket.roomId, currentRoom);
+      respond({ ok: true });
     } catch (error) {
       console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error deleting category:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to delete category') });
     }
   });
 
-  // Listen for climber advancement (specific category and boulder)
-  socket.on('advance-climber', (data) => {
+  // Listen for round layout changes: { roundIndex, boulderCount, maxCategories, rotationMode, timing, preset }
+  // A new boulder count is applied to every category of the round that hasn't started yet;
+  // the rotation mode can only change while no category of the round has started.
+  // A preset fills in boulderCount, rotationMode and timing unless they are given too; timing null clears it
+  socket.on('round-settings-update', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
     try {
       const currentRoom = rooms.get(socket.roomId);
       if (!currentRoom) return;
+      if (typeof data !== 'object' || data === null) {
+        return respond({ ok: false, error: commandError('invalid-payload', 'Expected an object') });
+      }
 
       const ts = currentRoom.timerState;
-      const { categoryId, boulderId } = data;
-      const category = ts.categories.find(c => c.id === categoryId);
+      // Setting up the layout before any category exists creates the first round
+      if (ts.rounds.length === 0) {
+        ts.rounds.push(createRound('Round 1'));
+        ts.rounds[0].categories = ts.categories;
+        ts.activeRoundIndex = 0;
+      }
+      const roundIndex = data.roundIndex ?? ts.activeRoundIndex;
+      const round = ts.rounds[roundIndex];
+      if (!round) {
+        return respond({ ok: false, error: commandError('invalid-params', 'Unknown round') });
+      }
 
-      if (category) {
-        const boulderIndex = category.boulders.findIndex(b => b.boulderId === boulderId);
-        const boulder = category.boulders[boulderIndex];
-        if (boulder && boulder.climbers.length > 0) {
-          advanceBoulder(boulder, category, boulderIndex);
-          currentRoom.lastActivity = Date.now();
-          console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Climber advanced by ${clientId}: ${category.name} - Boulder ${boulderId}`);
-          io.to(socket.roomId).emit('categories-sync', ts.categories);
-          saveRoomData(socket.roomId, currentRoom);
+      const preset = data.preset !== undefined ? getRoundPreset(data.preset) : null;
+      if (data.preset !== undefined && !preset) {
+        return respond({ ok: false, error: commandError('invalid-params', `Unknown preset: ${data.preset}`) });
+      }
+      const settings = getRoundSettings(round);
+      const boulderCount = data.boulderCount ?? preset?.boulderCount ?? settings.boulderCount;
+      const maxCategories = data.maxCategories ?? settings.maxCategories;
+      const validationError = validateCount(boulderCount, 'boulderCount', MAX_BOULDER_COUNT) ||
+        validateCount(maxCategories, 'maxCategories', MAX_CATEGORIES_LIMIT);
+      if (validationError) {
+        return respond({ ok: false, error: commandError('invalid-params', validationError) });
+      }
+      if (maxCategories < round.categories.length) {
+        return respond({ ok: false, error: commandError('invalid-state', `${round.name} already has ${round.categories.length} categories`) });
+      }
+      const rotationMode = data.rotationMode ?? preset?.rotationMode ?? settings.rotationMode;
+      if (!ROTATION_MODES.includes(rotationMode)) {
+        return respond({ ok: false, error: commandError('invalid-params', `rotationMode must be one of: ${ROTATION_MODES.join(', ')}`) });
+      }
+      if (rotationMode !== settings.rotationMode && round.categories.some(c => c.boulders.some(b => b.hasStarted))) {
+        return respond({ ok: false, error: commandError('invalid-state', `${round.name} has started - reset its categories before changing the rotation`) });
+      }
+      const timing = data.timing !== undefined ? data.timing : preset ? preset.timing : settings.timing;
+      const timingError = timing !== null && validateRoundTiming(timing);
+      if (timingError) {
+        return respond({ ok: false, error: commandError('invalid-params', timingError) });
+      }
+
+      round.boulderCount = boulderCount;
+      round.maxCategories = maxCategories;
+      round.rotationMode = rotationMode;
+      if (timing) {
+        round.timing = pickTiming(timing);
+      } else {
+        delete round.timing;
+      }
+
+      const keptCategories = [];
+      for (const category of round.categories) {
+        if (category.boulders.some(b => b.hasStarted)) {
+          if (category.boulders.length !== boulderCount) keptCategories.push(category.name);
+        } else if (category.boulders.length !== boulderCount) {
+          resizeCategoryBoulders(category, boulderCount);
+          dropUndoSteps(currentRoom, roundIndex, category.id);
         }
       }
+      recordEvent(socket.roomId, currentRoom, getSocketActor(socket), 'round-settings-update', {
+        roundIndex, boulderCount, maxCategories, rotationMode, timing: round.timing || null, preset: preset?.id
+      });
+      currentRoom.lastActivity = Date.now();
+
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] ${round.name} set to ${boulderCount} boulders, max ${maxCategories} categories, ${rotationMode} rotation${preset ? ` (preset ${preset.id})` : ''} by ${clientId}`);
+      emitToRoom(socket.roomId, 'rounds-sync', getRoundsSyncPayload(ts));
+      if (roundIndex === ts.activeRoundIndex) {
+        applyRoundTiming(socket.roomId, currentRoom, round);
+        broadcastCategories(socket.roomId);
+        broadcastResults(socket.roomId, currentRoom);
+      }
+      broadcastSchedule(socket.roomId, currentRoom);
+      saveRoomData(socket.roomId, currentRoom);
+      respond({ ok: true, roundIndex: roundIndex, boulderCount: boulderCount, maxCategories: maxCategories, rotationMode: rotationMode, timing: round.timing || null, keptCategories: keptCategories });
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error advancing climber:`, error);
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error updating round settings:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to update round settings') });
     }
   });
 
-  // Listen for advance all climbers in a specific boulder
-  socket.on('advance-boulder', (boulderId) => {
+  // Listen for a boulder count change on one category of the active round: { categoryId, boulderCount, expectedRevision? }
+  socket.on('set-category-boulder-count', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
     try {
       const currentRoom = rooms.get(socket.roomId);
       if (!currentRoom) return;
+      if (typeof data !== 'object' || data === null) {
+        return respond({ ok: false, error: commandError('invalid-payload', 'Expected an object') });
+      }
 
       const ts = currentRoom.timerState;
-      ts.categories.forEach(category => {
-        const boulderIndex = category.boulders.findIndex(b => b.boulderId === boulderId);
-        const boulder = category.boulders[boulderIndex];
-        if (boulder) {
-          advanceBoulder(boulder, category, boulderIndex);
-        }
+      const category = ts.categories.find(c => c.id === data.categoryId);
+      if (!category) {
+        return respond({ ok: false, error: commandError('invalid-params', 'Unknown category') });
+      }
+      const validationError = validateCount(data.boulderCount, 'boulderCount', MAX_BOULDER_COUNT);
+      if (validationError) {
+        return respond({ ok: false, error: commandError('invalid-params', validationError) });
+      }
+      const conflict = checkRevision(data.expectedRevision, category.revision, category.name);
+      if (conflict) return respond({ ok: false, error: conflict });
+
+      resizeCategoryBoulders(category, data.boulderCount);
+      dropUndoSteps(currentRoom, ts.activeRoundIndex, category.id);
+      recordEvent(socket.roomId, currentRoom, getSocketActor(socket), 'set-category-boulder-count', {
+        categoryId: category.id,
+        boulderCount: data.boulderCount
       });
       currentRoom.lastActivity = Date.now();
-      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] All climbers advanced on Boulder ${boulderId} by ${clientId}`);
-      io.to(socket.roomId).emit('categories-sync', ts.categories);
+
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Category ${category.name} set to ${data.boulderCount} boulders by ${clientId}`);
+      broadcastCategories(socket.roomId);
+      broadcastResults(socket.roomId, currentRoom);
       saveRoomData(socket.roomId, currentRoom);
+      respond({ ok: true, categoryId: category.id, boulderCount: category.boulders.length });
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error advancing boulder:`, error);
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error setting boulder count:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to set boulder count') });
     }
   });
 
-  // Listen for advance all climbers in a specific category
-  socket.on('advance-category', (categoryId) => {
+  // Listen for climber advancement (specific category and boulder): { categoryId, boulderId, expectedRevision? }
+  socket.on('advance-climber', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
     try {
       const currentRoom = rooms.get(socket.roomId);
       if (!currentRoom) return;
 
+      if (typeof data !== 'object' || data === null) {
+        return respond({ ok: false, error: commandError('invalid-payload', 'Expected { categoryId, boulderId }') });
+      }
+
       const ts = currentRoom.timerState;
+      const { categoryId, boulderId, expectedRevision } = data;
       const category = ts.categories.find(c => c.id === categoryId);
-      if (category) {
-        // Process boulders in order to correctly handle cascading starts
-        for (let i = 0; i < category.boulders.length; i++) {
-          advanceBoulder(category.boulders[i], category, i);
-        }
-        currentRoom.lastActivity = Date.now();
-        console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] All climbers advanced in category ${category.name} by ${clientId}`);
-        io.to(socket.roomId).emit('categories-sync', ts.categories);
-        saveRoomData(socket.roomId, currentRoom);
+      const boulderIndex = category ? category.boulders.findIndex(b => b.boulderId === boulderId) : -1;
+      if (boulderIndex < 0) {
+        return respond({ ok: false, error: commandError('not-found', 'Category or boulder not found') });
+      }
+
+      const conflict = checkRevision(expectedRevision, category.revision, category.name);
+      if (conflict) return respond({ ok: false, error: conflict });
+      if (category.boulders[boulderIndex].climbers.length === 0) {
+        return respond({ ok: false, error: commandError('invalid-state', `Boulder ${boulderId} has no climbers`) });
       }
+
+      const snapshot = captureRotationState(ts);
+      advanceCategoryBoulder(category, boulderIndex, getRotationMode(ts));
+      recordRotationEvent(socket.roomId, currentRoom, snapshot, getSocketActor(socket), 'advance-climber', { categoryId, boulderId });
+      currentRoom.lastActivity = Date.now();
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Climber advanced by ${clientId}: ${category.name} - Boulder ${boulderId}`);
+      broadcastCategories(socket.roomId);
+      saveRoomData(socket.roomId, currentRoom);
+      respond({ ok: true });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error advancing climber:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to advance climber') });
+    }
+  });
+
+  // Listen for advance all climbers in a specific boulder (boulderId, or { boulderId, expectedRevision } with the room revision)
+  socket.on('advance-boulder', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const { boulderId, expectedRevision } = typeof data === 'object' && data !== null ? data : { boulderId: data };
+      const error = advanceRoomBoulder(socket.roomId, boulderId, getSocketActor(socket), expectedRevision);
+      if (error) return respond({ ok: false, error: error });
+
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] All climbers advanced on Boulder ${boulderId} by ${clientId}`);
+      respond({ ok: true });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error advancing boulder:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to advance boulder') });
+    }
+  });
+
+  // Listen for advance all climbers in a specific category (categoryId, or { categoryId, expectedRevision })
+  socket.on('advance-category', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const { categoryId, expectedRevision } = typeof data === 'object' && data !== null ? data : { categoryId: data };
+      const error = advanceRoomCategory(socket.roomId, categoryId, getSocketActor(socket), expectedRevision);
+      if (error) return respond({ ok: false, error: error });
+
+      const category = rooms.get(socket.roomId).timerState.categories.find(c => c.id === categoryId);
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] All climbers advanced in category ${category.name} by ${clientId}`);
+      respond({ ok: true });
     } catch (error) {
       console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error advancing category:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to advance category') });
     }
   });
 
-  // Listen for advance all climbers (all categories, all boulders)
-  socket.on('advance-all-climbers', () => {
+  // Listen for advance all climbers (all categories, all boulders): { expectedRevision? } with the room revision
+  socket.on('advance-all-climbers', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
     try {
       const currentRoom = rooms.get(socket.roomId);
       if (!currentRoom) return;
+      const conflict = checkRevision(data?.expectedRevision, currentRoom.revision, 'The rotation');
+      if (conflict) return respond({ ok: false, error: conflict });
 
       const ts = currentRoom.timerState;
-      ts.categories.forEach(category => {
-        // Process boulders in order to correctly handle cascading starts
-        for (let i = 0; i < category.boulders.length; i++) {
-          advanceBoulder(category.boulders[i], category, i);
-        }
-      });
+      const snapshot = captureRotationState(ts);
+      advanceNonHeldClimbers(ts);
+      recordRotationEvent(socket.roomId, currentRoom, snapshot, getSocketActor(socket), 'advance-all-climbers');
       currentRoom.lastActivity = Date.now();
       console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] All climbers advanced by ${clientId}`);
-      io.to(socket.roomId).emit('categories-sync', ts.categories);
+      broadcastCategories(socket.roomId);
       saveRoomData(socket.roomId, currentRoom);
+      respond({ ok: true });
     } catch (error) {
       console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error advancing all climbers:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to advance climbers') });
     }
   });
 
-  // Listen for skip climber on boulder (inserts empty that flows through remaining boulders)
-  socket.on('skip-boulder-climber', (data) => {
+  // Listen for skip climber on boulder (a no-show; see skipBoulderClimber for how each rotation mode handles it)
+  // { categoryId, boulderId, climberId?, actionId?, expectedRevision? }
+  // With climberId the skip only applies while that climber is still the one on the boulder
+  socket.on('skip-boulder-climber', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
     try {
       const currentRoom = rooms.get(socket.roomId);
       if (!currentRoom) return;
+      if (typeof data !== 'object' || data === null) {
+        return respond({ ok: false, error: commandError('invalid-payload', 'Expected { categoryId, boulderId }') });
+      }
+      const replayed = getAppliedAction(currentRoom, data.actionId);
+      if (replayed) return respond({ ...replayed, duplicate: true });
 
       const ts = currentRoom.timerState;
       const { categoryId, boulderId } = data;
       const category = ts.categories.find(c => c.id === categoryId);
-      if (category) {
-        const boulderIndex = category.boulders.findIndex(b => b.boulderId === boulderId);
-        const boulder = category.boulders[boulderIndex];
-        if (boulder && boulder.hasStarted) {
-          // Don't advance this boulder - climber stays in position
-          // Just set next boulder to show empty (the skip flows through)
-          if (boulderIndex < category.boulders.length - 1) {
-            category.boulders[boulderIndex + 1].skipNext = true;
-          }
-          currentRoom.lastActivity = Date.now();
+      const boulderIndex = category ? category.boulders.findIndex(b => b.boulderId === boulderId) : -1;
+      if (boulderIndex < 0) {
+        return respond({ ok: false, error: commandError('not-found', 'Category or boulder not found') });
+      }
 
-          console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Skipped climber on Boulder ${boulderId} in ${category.name} by ${clientId}`);
-          io.to(socket.roomId).emit('categories-sync', ts.categories);
-          saveRoomData(socket.roomId, currentRoom);
-        }
+      const conflict = checkRevision(data.expectedRevision, category.revision, category.name);
+      if (conflict) return respond({ ok: false, error: conflict });
+      const boulder = category.boulders[boulderIndex];
+      if (data.climberId !== undefined && boulder.climbers[boulder.currentClimberIndex] !== data.climberId) {
+        return respond({ ok: false, error: commandError('invalid-state', `${getClimberLabel(category, data.climberId)} is no longer on Boulder ${boulderId}`) });
+      }
+
+      const snapshot = captureRotationState(ts);
+      if (!skipBoulderClimber(category, boulderIndex, getRotationMode(ts))) {
+        return respond({ ok: false, error: commandError('invalid-state', `Nobody to skip on Boulder ${boulderId}`) });
       }
+      recordRotationEvent(socket.roomId, currentRoom, snapshot, getSocketActor(socket), 'skip-boulder-climber', { categoryId, boulderId });
+      currentRoom.lastActivity = Date.now();
+
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Skipped climber on Boulder ${boulderId} in ${category.name} by ${clientId}`);
+      broadcastCategories(socket.roomId);
+      const response = { ok: true };
+      rememberAppliedAction(currentRoom, data.actionId, response);
+      saveRoomData(socket.roomId, currentRoom);
+      respond(response);
     } catch (error) {
       console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error skipping boulder climber:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to skip climber') });
     }
   });
 
-  // Listen for reset category progress (clears completion tracking)
-  socket.on('reset-category-progress', (categoryId) => {
+  // Listen for reset category progress (clears completion tracking): categoryId, or { categoryId, expectedRevision }
+  socket.on('reset-category-progress', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
     try {
       const currentRoom = rooms.get(socket.roomId);
       if (!currentRoom) return;
 
       const ts = currentRoom.timerState;
+      const { categoryId, expectedRevision } = typeof data === 'object' && data !== null ? data : { categoryId: data };
       const category = ts.categories.find(c => c.id === categoryId);
       if (category) {
+        const conflict = checkRevision(expectedRevision, category.revision, category.name);
+        if (conflict) return respond({ ok: false, error: conflict });
+        const snapshot = captureRotationState(ts);
         // Reset climber progress tracking
         category.climberProgress = {};
         // Reset all boulder indices to 0, hasStarted to false, clear skips
@@ -916,59 +4494,246 @@ io.on('connection', (socket) => {
           boulder.currentClimberIndex = 0;
           boulder.hasStarted = false;
           boulder.skipNext = false;
+          boulder.idle = false;
         });
+        recordRotationEvent(socket.roomId, currentRoom, snapshot, getSocketActor(socket), 'reset-category-progress', { categoryId });
         currentRoom.lastActivity = Date.now();
         console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Category progress reset by ${clientId}: ${category.name}`);
-        io.to(socket.roomId).emit('categories-sync', ts.categories);
+        broadcastCategories(socket.roomId);
         saveRoomData(socket.roomId, currentRoom);
+        respond({ ok: true });
       }
     } catch (error) {
       console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error resetting category progress:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to reset category') });
+    }
+  });
+
+  // Listen for a restart of the active round: { expectedRevision? }
+  socket.on('restart-round', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const expectedRevision = typeof data === 'object' && data !== null ? data.expectedRevision : undefined;
+      const error = restartRoomRound(socket.roomId, getSocketActor(socket), expectedRevision);
+      if (error) {
+        console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Restart round from ${clientId} rejected: ${error.message}`);
+        return respond({ ok: false, error: error });
+      }
+
+      const ts = rooms.get(socket.roomId).timerState;
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Round ${ts.activeRoundIndex + 1} (${ts.rounds[ts.activeRoundIndex].name}) restarted by ${clientId}`);
+      respond({ ok: true, revision: rooms.get(socket.roomId).revision });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error restarting round:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to restart round') });
     }
   });
 
   // Listen for round switch (multi-round navigation)
-  socket.on('switch-round', (roundIndex) => {
+  socket.on('switch-round', (roundIndex, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const error = switchRoomRound(socket.roomId, roundIndex, getSocketActor(socket));
+      if (error) {
+        console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] ${error.message}`);
+        return respond({ ok: false, error: error });
+      }
+
+      const ts = rooms.get(socket.roomId).timerState;
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Switched to round ${ts.activeRoundIndex + 1} (${ts.rounds[ts.activeRoundIndex].name}) by ${clientId}`);
+      respond({ ok: true });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error switching round:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to switch round') });
+    }
+  });
+
+  // Listen for a round's auto-start time ({ roundIndex, startAt }; startAt null cancels it)
+  socket.on('schedule-round-start', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      if (typeof data !== 'object' || data === null) {
+        return respond({ ok: false, error: commandError('invalid-payload', 'Expected { roundIndex, startAt }') });
+      }
+      const error = setRoundAutoStart(socket.roomId, data.roundIndex, data.startAt ?? null, getSocketActor(socket));
+      if (error) {
+        console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Auto-start rejected: ${error.message}`);
+        return respond({ ok: false, error: error });
+      }
+
+      const round = rooms.get(socket.roomId).timerState.rounds[data.roundIndex];
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Auto-start of round "${round.name}" ${round.autoStartAt ? 'set to ' + new Date(round.autoStartAt).toISOString() : 'cancelled'} by ${clientId}`);
+      respond({ ok: true });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error scheduling round start:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to schedule round start') });
+    }
+  });
+
+  // Listen for undo of the most recent rotation action (advance, skip, reset or climb-end auto-advance)
+  socket.on('undo-last', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
     try {
       const currentRoom = rooms.get(socket.roomId);
       if (!currentRoom) return;
 
+      const conflict = checkRevision(data?.expectedRevision, currentRoom.revision, 'The rotation');
+      if (conflict) return respond({ ok: false, error: conflict });
+
       const ts = currentRoom.timerState;
-      const newIndex = parseInt(roundIndex);
-      if (isNaN(newIndex) || newIndex < 0 || newIndex >= ts.rounds.length) {
-        console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Invalid round index: ${roundIndex}`);
-        return;
-      }
+      const { error, step } = undoLastRotation(ts, currentRoom);
+      if (error) return respond({ ok: false, error: error });
 
-      // Update active round index
-      ts.activeRoundIndex = newIndex;
+      const entry = recordEvent(socket.roomId, currentRoom, getSocketActor(socket), 'undo-last', { undoneSeq: step.seq, undoneAction: step.action });
+      currentRoom.lastActivity = Date.now();
 
-      // Reset all category progress in the new round (fresh start)
-      const newRound = ts.rounds[newIndex];
-      newRound.categories.forEach(category => {
-        category.climberProgress = {};
-        category.boulders.forEach(boulder => {
-          boulder.currentClimberIndex = 0;
-          boulder.hasStarted = false;
-          boulder.skipNext = false;
-        });
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Undid ${step.action} (#${step.seq}) by ${clientId}`);
+      broadcastCategories(socket.roomId);
+      broadcastResults(socket.roomId, currentRoom);
+      saveRoomData(socket.roomId, currentRoom);
+      respond({ ok: true, undone: { seq: step.seq, action: step.action }, seq: entry.seq });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error undoing last action:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to undo') });
+    }
+  });
+
+  // Listen for qualification of the top-N climbers of a category into a later round
+  socket.on('qualify-climbers', (options, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const currentRoom = rooms.get(socket.roomId);
+      if (!currentRoom) return;
+      if (typeof options !== 'object' || options === null) {
+        return respond({ ok: false, error: commandError('invalid-payload', 'Expected an object') });
+      }
+
+      const ts = currentRoom.timerState;
+      const { error, category, roundIndex, climbers } = qualifyClimbers(ts, options);
+      if (error) return respond({ ok: false, error: error });
+      // A forced qualification replaces the target category's start list and progress
+      dropUndoSteps(currentRoom, roundIndex, category.id);
+
+      // categories stays an alias of the active round's list
+      ts.categories = ts.rounds[ts.activeRoundIndex].categories;
+      recordEvent(socket.roomId, currentRoom, getSocketActor(socket), 'qualify-climbers', {
+        ...options,
+        toRoundIndex: roundIndex,
+        climbers: climbers.map(id => getClimberLabel(category, id))
       });
+      currentRoom.lastActivity = Date.now();
+
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] ${climbers.length} climbers qualified by ${clientId}: ${category.name} -> ${ts.rounds[roundIndex].name}`);
+      emitToRoom(socket.roomId, 'rounds-sync', getRoundsSyncPayload(ts));
+      broadcastCategories(socket.roomId);
+      broadcastResults(socket.roomId, currentRoom);
+      saveRoomData(socket.roomId, currentRoom);
+      respond({ ok: true, roundIndex: roundIndex, categoryId: category.id, climbers: climbers });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error qualifying climbers:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to qualify climbers') });
+    }
+  });
+
+  // Listen for a full boulder result (attempts plus the attempt numbers of low zone, zone and top)
+  socket.on('set-boulder-result', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const currentRoom = rooms.get(socket.roomId);
+      if (!currentRoom) return;
+
+      const replayed = getAppliedAction(currentRoom, data?.actionId);
+      if (replayed) return respond({ ...replayed, duplicate: true });
 
-      // Update categories from active round
-      ts.categories = newRound.categories;
+      const ts = currentRoom.timerState;
+      const { category, climberId, error } = resolveScoringTarget(ts, data);
+      if (error) return respond({ ok: false, error: commandError('invalid-params', error) });
+
+      const result = {
+        attempts: data.attempts,
+        lowZone: data.lowZone ?? null,
+        zone: data.zone ?? null,
+        top: data.top ?? null
+      };
+      const validationError = validateBoulderResult(result);
+      if (validationError) return respond({ ok: false, error: commandError('invalid-params', validationError) });
+
+      setBoulderResult(category, climberId, data.boulderId, result);
+      recordEvent(socket.roomId, currentRoom, getSocketActor(socket), 'set-boulder-result', {
+        categoryId: category.id,
+        boulderId: data.boulderId,
+        climberId: climberId,
+        climber: getClimberLabel(category, climberId),
+        ...result
+      });
       currentRoom.lastActivity = Date.now();
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Result set by ${clientId}: ${category.name} - Boulder ${data.boulderId} - ${getClimberLabel(category, climberId)} (${result.attempts} att, Z${result.zone ?? '-'}, T${result.top ?? '-'})`);
+      broadcastResults(socket.roomId, currentRoom);
+      const response = { ok: true };
+      rememberAppliedAction(currentRoom, data.actionId, response);
+      saveRoomData(socket.roomId, currentRoom);
+      respond(response);
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error setting boulder result:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to set result') });
+    }
+  });
+
+  // Listen for a single attempt (outcome: 'none', 'low-zone', 'zone' or 'top')
+  socket.on('record-attempt', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const currentRoom = rooms.get(socket.roomId);
+      if (!currentRoom) return;
+
+      const replayed = getAppliedAction(currentRoom, data?.actionId);
+      if (replayed) return respond({ ...replayed, duplicate: true });
+
+      const ts = currentRoom.timerState;
+      const { category, climberId, error } = resolveScoringTarget(ts, data);
+      if (error) return respond({ ok: false, error: commandError('invalid-params', error) });
+      if (!['none', 'low-zone', 'zone', 'top'].includes(data.outcome)) {
+        return respond({ ok: false, error: commandError('invalid-params', 'outcome must be none, low-zone, zone or top') });
+      }
 
-      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Switched to round ${newIndex + 1} (${newRound.name}) by ${clientId}`);
+      const recordError = recordAttempt(category, climberId, data.boulderId, data.outcome);
+      if (recordError) return respond({ ok: false, error: commandError('invalid-state', recordError) });
 
-      // Broadcast to all clients in the room
-      io.to(socket.roomId).emit('rounds-sync', {
-        rounds: ts.rounds.map(r => ({ name: r.name, categoryCount: r.categories?.length || 0 })),
-        activeRoundIndex: ts.activeRoundIndex
+      recordEvent(socket.roomId, currentRoom, getSocketActor(socket), 'record-attempt', {
+        categoryId: category.id,
+        boulderId: data.boulderId,
+        climberId: climberId,
+        climber: getClimberLabel(category, climberId),
+        outcome: data.outcome
       });
-      io.to(socket.roomId).emit('categories-sync', ts.categories);
+      currentRoom.lastActivity = Date.now();
+      console.log(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Attempt recorded by ${clientId}: ${category.name} - Boulder ${data.boulderId} - ${getClimberLabel(category, climberId)} (${data.outcome})`);
+      broadcastResults(socket.roomId, currentRoom);
+      const response = { ok: true, result: getBoulderResult(category, climberId, data.boulderId) };
+      rememberAppliedAction(currentRoom, data.actionId, response);
       saveRoomData(socket.roomId, currentRoom);
+      respond(response);
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error switching round:`, error);
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error recording attempt:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to record attempt') });
+    }
+  });
+
+  // Judge code for one boulder's tablet, see resolveJudgeScope - { categoryId, boulderId }
+  socket.on('judge-code', (data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      const currentRoom = rooms.get(socket.roomId);
+      if (!currentRoom) return;
+
+      const category = currentRoom.timerState.categories.find(c => c.id === data?.categoryId);
+      if (!category || !category.boulders.some(b => b.boulderId === data.boulderId)) {
+        return respond({ ok: false, error: commandError('not-found', 'Category or boulder not found') });
+      }
+      respond({ ok: true, judgeCode: createJudgeCode(currentRoom, category.id, data.boulderId) });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [Room: ${socket.roomId}] Error creating judge code:`, error);
+      respond({ ok: false, error: commandError('internal', 'Failed to create judge code') });
     }
   });
 
@@ -990,6 +4755,9 @@ io.on('connection', (socket) => {
   });
 });
 
+// Resume rooms whose clocks were running before a restart
+resumeRunningRooms();
+
 // Set the port (use environment variable for production)
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -1012,6 +4780,11 @@ server.listen(PORT, '0.0.0.0', () => {
     console.log(`  API endpoint:     /api/state\n`);
   }
 
+  if (ADMIN_TOKEN_GENERATED) {
+    console.log(`  ADMIN_TOKEN is not set. Generated admin token for this run:`);
+    console.log(`  ${ADMIN_TOKEN}\n`);
+  }
+
   console.log(`Server is ready to accept connections.\n`);
 });
 
@@ -1032,7 +4805,13 @@ function cleanupInactiveRooms() {
     if (room.timerState.running) continue;
 
     // Don't delete rooms with connected clients
-    if (room.connectedClients > 0) continue;
+    if (room.connectedClients > 0 || room.streamClients.size > 0) continue;
+
+    // Don't delete linked rooms
+    if (room.masterRoomId || getFollowerRooms(roomId).length > 0) continue;
+
+    // Don't delete rooms with a round waiting to auto-start
+    if (room.timerState.rounds.some(r => r.autoStartAt)) continue;
 
     // Check inactivity threshold
     if (now - room.lastActivity > ROOM_CLEANUP_THRESHOLD_MS) {
@@ -1053,16 +4832,23 @@ function cleanupInactiveRooms() {
 // Start cleanup interval
 const cleanupInterval = setInterval(cleanupInactiveRooms, ROOM_CLEANUP_INTERVAL_MS);
 
+// Start rounds whose auto-start time has come
+const autoStartInterval = setInterval(runAutoStarts, SCHEDULE_CHECK_MS);
+
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   console.log(`\n[${new Date().toISOString()}] ${signal} received. Starting graceful shutdown...`);
 
-  // Stop cleanup interval
+  // Stop cleanup and auto-start intervals
   clearInterval(cleanupInterval);
+  clearInterval(autoStartInterval);
 
-  // Save all rooms before shutdown
+  // Save all rooms before shutdown, closing their event streams so the server can close
   for (const [roomId, room] of rooms) {
     saveRoomData(roomId, room);
+    for (const res of room.streamClients) {
+      res.end();
+    }
   }
   console.log(`[${new Date().toISOString()}] Saved ${rooms.size} rooms`);
 
@@ -1071,6 +4857,7 @@ const gracefulShutdown = (signal) => {
 
     io.close(() => {
       console.log(`[${new Date().toISOString()}] Socket.IO server closed`);
+      storage.close();
       console.log(`[${new Date().toISOString()}] Graceful shutdown complete`);
       process.exit(0);
     });